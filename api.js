@@ -4,12 +4,142 @@
 // Keep these require statements for utilities and services
 const detectChrome = require('./utils/detectChrome');
 const detectManim = require('./utils/detectManim');
-const { generateWithP5 } = require('./services/p5Renderer');
-const { generateWithManim } = require('./services/manimRenderer');
-const { generateCode } = require('./utils/codegenService');
+const { generateCode, validateUserCode } = require('./utils/codegenService');
+const { planStoryboard } = require('./utils/storyboardService');
 const { performHealthCheck } = require('./services/healthCheck');
+const jobStore = require('./services/jobStore');
+const jobEvents = require('./services/jobEvents');
+const { mimeTypeFor } = require('./utils/outputFormats');
+const { parseCaptions, captionPathsFor } = require('./utils/captions');
+const { parseRenderOptions } = require('./utils/renderSettings');
+const { cancelRun } = require('./services/cancellation');
+const { startRun, startStoryboard, regenerateSegments } = require('./services/jobRunner');
+const { saveAudioUpload, resolveAudioTrack } = require('./services/audioUploads');
+const { listPresets, savePreset, deletePreset, resolvePostProcess } = require('./services/postProcessPresets');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
+
+// Build the in-app playback and download URLs for a rendered file
+function playbackInfo(videoPath) {
+  const id = path.basename(videoPath, '.mp4'); // Remove .mp4 extension for ID; other formats keep theirs
+
+  return {
+    // 1. A custom protocol URL for secure, in-app playback
+    videoPath: `app-video://${id}`,
+    // 2. A standard file URL for the download functionality
+    downloadPath: `file://${videoPath}`,
+    filename: path.basename(videoPath),
+    mimeType: mimeTypeFor(videoPath),
+    // 3. Caption sidecars, when the run asked for captions
+    ...captionFiles(videoPath)
+  };
+}
+
+function captionFiles(videoPath) {
+  const captions = Object.entries(captionPathsFor(videoPath)).filter(([, file]) => fs.existsSync(file));
+  return captions.length ? { captionFiles: Object.fromEntries(captions.map(([kind, file]) => [kind, `file://${file}`])) } : {};
+}
+
+// Fields the renderer uses to play a finished run
+function describeOutput(outputPath) {
+  const { videoPath, captionFiles } = playbackInfo(outputPath);
+  return { videoPath, captionFiles };
+}
+
+// Renderer windows (by webContents id) -> runId -> unsubscribe
+const rendererSubscriptions = new Map();
+
+// Shape a job event for the renderer; progress keeps its own field as the UI expects
+function rendererEvent(runId, event) {
+  const payload = event.type === 'progress' ? { progress: event.data } : event.data;
+  return { runId, id: event.id, type: event.type, ...payload, timestamp: event.timestamp };
+}
+
+/**
+ * Streams a run's job events to a renderer window on the `render-log` channel,
+ * replaying anything after lastEventId first. The subscription ends after the done event.
+ * @param {Electron.WebContents} sender
+ * @param {string} runId
+ * @param {number} [lastEventId=0]
+ */
+function subscribeRenderer(sender, runId, lastEventId = 0) {
+  const job = jobStore.getJob(runId);
+  if (!job) {
+    throw new Error(`Run not found: ${runId}`);
+  }
+  let runs = rendererSubscriptions.get(sender.id);
+  if (!runs) {
+    runs = new Map();
+    rendererSubscriptions.set(sender.id, runs);
+    sender.once('destroyed', () => {
+      for (const unsubscribe of runs.values()) unsubscribe();
+      rendererSubscriptions.delete(sender.id);
+    });
+  }
+  unsubscribeRenderer(sender, runId);
+
+  let lastSentId = Number(lastEventId) || 0;
+  const forward = event => {
+    if (event.id <= lastSentId || sender.isDestroyed()) return;
+    lastSentId = event.id;
+    sender.send('render-log', rendererEvent(runId, event));
+    if (event.type === 'done') unsubscribeRenderer(sender, runId);
+  };
+  // Subscribe before replaying so nothing published in between is missed
+  runs.set(runId, jobEvents.subscribe(runId, forward));
+  jobEvents.eventsSince(job, lastSentId).forEach(forward);
+}
+
+function unsubscribeRenderer(sender, runId) {
+  const runs = rendererSubscriptions.get(sender.id);
+  const unsubscribe = runs && runs.get(runId);
+  if (!unsubscribe) return false;
+  unsubscribe();
+  runs.delete(runId);
+  return true;
+}
+
+// Validate a start request and hand it to the shared job runner; supplied code skips generation
+async function startFromRequest(request) {
+  const { prompt, engine, apiKey, duration, provider, model, baseUrl, priority } = request;
+  // Reject bad code and render settings before spending an LLM call
+  const code = request.code ? await validateUserCode(request.code, engine) : null;
+  const renderOptions = parseRenderOptions(request);
+  const postProcess = resolvePostProcess(request.postProcess, renderOptions.format);
+  const captions = parseCaptions(request.captions, { format: renderOptions.format, engine });
+  const audio = resolveAudioTrack(request.audio, renderOptions.format);
+
+  const run = startRun({
+    engine,
+    prompt,
+    code,
+    apiKey,
+    llm: { provider, model, baseUrl },
+    duration,
+    renderOptions,
+    postProcess,
+    captions,
+    audio,
+    // Hand-edited code is rendered as written unless repairs are explicitly requested
+    maxRepairAttempts: code ? request.maxRepairAttempts ?? 0 : request.maxRepairAttempts,
+    priority,
+    record: code ? { source: 'user' } : {},
+    describeOutput
+  });
+  if (code) jobStore.appendLog(run.runId, 'Using supplied code');
+  return run;
+}
+
+// Wait for a run and answer in the shape the blocking handlers have always returned
+async function finishedResult(run) {
+  const job = await run.finished;
+  return {
+    success: true,
+    runId: run.runId,
+    code: job.code,
+    ...playbackInfo(job.outputPath)
+  };
+}
 
 function setupApiHandlers(ipcMain) {
   // All our new IPC handlers will go inside this function
@@ -48,62 +178,141 @@ function setupApiHandlers(ipcMain) {
     }
   });
 
-  // Handler for video generation - replaces POST /api/generate
-  ipcMain.handle('generate-video', async (event, { prompt, engine, apiKey, duration }) => {
-    // Generate a unique run ID for this render job
-    const runId = uuidv4();
-    
-    // Helper function to send logs back to frontend via IPC
-    const log = (message) => {
-      event.sender.send('render-log', {
-        message,
-        timestamp: new Date().toISOString()
-      });
-    };
+  // Handler for starting a run - returns its runId at once; follow it with subscribe-run
+  ipcMain.handle('start-run', async (event, request) => {
+    const { runId } = await startFromRequest(request);
+    if (request.subscribe !== false) subscribeRenderer(event.sender, runId);
+    return { success: true, runId };
+  });
 
-    try {
-      // Step 1: Code generation
-      log('Code generation started...');
-      const code = await generateCode(prompt, engine, apiKey);
-      log('Code generation finished - preparing for video rendering');
-
-      // Step 2: Video rendering
-      log(`Video rendering started using ${engine}`);
-      let videoPath;
-      
-      if (engine === 'p5') {
-        // Render with p5.js, passing our log function for real-time updates
-        videoPath = await generateWithP5(code, runId, log, duration);
-      } else if (engine === 'manim') {
-        // Render with Manim, passing our log function for progress updates
-        videoPath = await generateWithManim(code, runId, log);
-      } else {
-        throw new Error(`Invalid engine: ${engine}`);
-      }
+  // Handler for following a run's events on render-log, e.g. after a window reload
+  ipcMain.handle('subscribe-run', async (event, { runId, lastEventId } = {}) => {
+    subscribeRenderer(event.sender, runId, lastEventId);
+    return { success: true, runId, status: jobStore.getJob(runId).status };
+  });
 
-      // Step 3: Return success with video path
-      const filename = path.basename(videoPath, '.mp4'); // Remove .mp4 extension for ID
-      
-      // Create two URLs:
-      // 1. A custom protocol URL for secure, in-app playback
-      const playbackUrl = `app-video://${filename}`;
-      // 2. A standard file URL for the download functionality
-      const downloadUrl = `file://${videoPath}`;
-      
-      log('Video generation completed successfully');
-      
-      return {
-        success: true,
-        videoPath: playbackUrl,    // For the <video> tag
-        downloadPath: downloadUrl, // For the "Download" button
-        filename: filename + '.mp4'
-      };
+  ipcMain.handle('unsubscribe-run', async (event, runId) => {
+    return { success: unsubscribeRenderer(event.sender, runId), runId };
+  });
 
-    } catch (error) {
-      // Log the error and re-throw so frontend promise rejects
-      log(`Error: ${error.message}`);
-      throw error;
+  // Handler for video generation - replaces POST /api/generate; resolves when the render finishes
+  ipcMain.handle('generate-video', async (event, request) => {
+    const run = await startFromRequest({ ...request, code: null });
+    subscribeRenderer(event.sender, run.runId);
+    return finishedResult(run);
+  });
+
+  // Handler for code generation only - replaces POST /api/codegen
+  ipcMain.handle('generate-code', async (event, { prompt, engine, apiKey, provider, model, baseUrl }) => {
+    const code = await generateCode(prompt, engine, apiKey, { provider, model, baseUrl });
+    return { success: true, engine, code };
+  });
+
+  // Handler for rendering user-supplied code - replaces POST /api/render; resolves when the render finishes
+  ipcMain.handle('render-code', async (event, request) => {
+    if (!request.code) {
+      throw new Error('Code is required');
     }
+    const run = await startFromRequest(request);
+    subscribeRenderer(event.sender, run.runId);
+    return finishedResult(run);
+  });
+
+  // Handler for storyboard planning only - replaces POST /api/storyboard/plan
+  ipcMain.handle('plan-storyboard', async (event, { topic, engine, apiKey, provider, model, baseUrl, segmentCount, totalDurationSecs }) => {
+    const storyboard = await planStoryboard(topic, engine, apiKey, { provider, model, baseUrl }, { segmentCount, totalDurationSecs });
+    return { success: true, storyboard };
+  });
+
+  // Handler for a storyboard render - replaces POST /api/storyboard; returns once the storyboard exists
+  ipcMain.handle('start-storyboard', async (event, request) => {
+    const { topic, storyboard, engine, transition, apiKey, provider, model, baseUrl, maxRepairAttempts, priority, segmentCount, totalDurationSecs } = request;
+    const renderOptions = parseRenderOptions(request);
+    const run = startStoryboard({
+      engine,
+      topic,
+      storyboard,
+      planOptions: { segmentCount, totalDurationSecs },
+      transition,
+      apiKey,
+      llm: { provider, model, baseUrl },
+      renderOptions,
+      postProcess: resolvePostProcess(request.postProcess, renderOptions.format),
+      captions: parseCaptions(request.captions, { format: renderOptions.format, engine, storyboard: true }),
+      audio: resolveAudioTrack(request.audio, renderOptions.format),
+      maxRepairAttempts,
+      priority,
+      describeOutput
+    });
+    subscribeRenderer(event.sender, run.runId);
+    return { success: true, runId: run.runId, storyboard: await run.planReady };
+  });
+
+  // Handler for regenerating storyboard segments - replaces POST /api/storyboard/:runId/regenerate
+  ipcMain.handle('regenerate-storyboard', async (event, { runId, segments, storyboard, transition, postProcess, captions, audio, apiKey, provider, model, baseUrl, maxRepairAttempts, priority }) => {
+    const run = regenerateSegments(runId, {
+      segments,
+      storyboard,
+      transition,
+      postProcess,
+      captions,
+      audio,
+      apiKey,
+      llm: { provider, model, baseUrl },
+      maxRepairAttempts,
+      priority,
+      describeOutput
+    });
+    subscribeRenderer(event.sender, run.runId);
+    return { success: true, runId: run.runId };
+  });
+
+  // Handler for audio uploads - replaces POST /api/audio; local files can be passed as audio.path instead
+  ipcMain.handle('upload-audio', async (event, { data, filename }) => {
+    const upload = await saveAudioUpload(Buffer.from(data || []), filename);
+    return { success: true, ...upload };
+  });
+
+  // Handlers for post-processing presets - replace /api/presets
+  ipcMain.handle('list-presets', async () => {
+    return { success: true, presets: listPresets() };
+  });
+
+  ipcMain.handle('save-preset', async (event, { name, steps, description }) => {
+    return { success: true, preset: savePreset(name, steps, description) };
+  });
+
+  ipcMain.handle('delete-preset', async (event, name) => {
+    return { success: deletePreset(name), name };
+  });
+
+  // Handler for cancelling a run - replaces DELETE /api/jobs/:runId
+  ipcMain.handle('cancel-render', async (event, runId) => {
+    const job = jobStore.getJob(runId);
+    if (!job) {
+      throw new Error(`Run not found: ${runId}`);
+    }
+    if (jobStore.isFinished(job) || !cancelRun(runId)) {
+      return { success: false, runId, reason: `Run is not in progress (status: ${job.status})` };
+    }
+    return { success: true, runId };
+  });
+
+  // Handler for job history - replaces GET /api/jobs
+  ipcMain.handle('list-jobs', async (event, query = {}) => {
+    return jobStore.listJobs(query);
+  });
+
+  // Handler for a single job - replaces GET /api/jobs/:runId
+  ipcMain.handle('get-job', async (event, runId) => {
+    const job = jobStore.getJob(runId);
+    if (!job) {
+      throw new Error(`Run not found: ${runId}`);
+    }
+    return {
+      ...job,
+      ...(job.outputPath ? playbackInfo(job.outputPath) : {})
+    };
   });
 }
 
@@ -0,0 +1,11 @@
+from manim import *
+import math
+
+
+class GeneratedScene(Scene):
+    def construct(self):
+        title = Text("Hello, Manim!")
+        circle = Circle(radius=1.5, color=BLUE).next_to(title, DOWN)
+        self.play(Write(title))
+        self.play(Create(circle))
+        self.wait(1)
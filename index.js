@@ -3,28 +3,58 @@
 
 const express = require('express');
 const cors = require('cors');
-const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const fs = require('fs');
 
 // Utilities (to be implemented)
 const detectChrome = require('./utils/detectChrome');
 const detectManim = require('./utils/detectManim');
 
 // Services (to be implemented)
-const { generateWithP5 } = require('./services/p5Renderer');
-const { generateWithManim } = require('./services/manimRenderer');
-const { generateCode } = require('./utils/codegenService');
+const { generateCode, validateUserCode } = require('./utils/codegenService');
+const { planStoryboard } = require('./utils/storyboardService');
 const { performHealthCheck } = require('./services/healthCheck');
+const jobStore = require('./services/jobStore');
+const jobEvents = require('./services/jobEvents');
+const { mimeTypeFor } = require('./utils/outputFormats');
+const { parseCaptions, captionPathsFor } = require('./utils/captions');
+const { parseRenderOptions } = require('./utils/renderSettings');
+const { cancelRun, isCancellation } = require('./services/cancellation');
+const { startRun, rerun, startStoryboard, regenerateSegments } = require('./services/jobRunner');
+const { attachJobSocket } = require('./services/jobSocket');
+const { saveAudioUpload, resolveAudioTrack, MAX_UPLOAD_BYTES } = require('./services/audioUploads');
+const { listPresets, getPreset, savePreset, deletePreset, resolvePostProcess } = require('./services/postProcessPresets');
 
-// In-memory store for render jobs
-const jobs = {};
+// Server-Sent Events timing
+const SSE_HEARTBEAT_MS = 15000;
+const SSE_RETRY_MS = 3000;
 
 const app = express();
 app.use(cors());
 app.use(express.json());
 
-// Serve video files from media/videos
-app.use('/videos', express.static(path.join(__dirname, 'media', 'videos')));
+// Derive served URLs from a render's output path (a file, or a directory for PNG sequences)
+function outputUrls(outputPath) {
+  const name = path.basename(outputPath);
+  if (fs.statSync(outputPath).isDirectory()) {
+    const files = fs.readdirSync(outputPath).sort().map(file => `/videos/${name}/${file}`);
+    return { videoPath: `/videos/${name}/`, files };
+  }
+  // Caption sidecars sit next to the video
+  const captions = Object.entries(captionPathsFor(outputPath)).filter(([, file]) => fs.existsSync(file));
+  return {
+    videoPath: `/videos/${name}`,
+    ...(captions.length ? { captionFiles: Object.fromEntries(captions.map(([kind, file]) => [kind, `/videos/${path.basename(file)}`])) } : {})
+  };
+}
+
+// Serve video files from media/videos with the right MIME type for every output format
+app.use('/videos', express.static(path.join(__dirname, 'media', 'videos'), {
+  setHeaders: (res, filePath) => {
+    const mimeType = mimeTypeFor(filePath);
+    if (mimeType) res.setHeader('Content-Type', mimeType);
+  }
+}));
 
 // Enhanced health-check endpoint
 app.get('/api/health', async (req, res) => {
@@ -50,89 +80,310 @@ app.get('/api/health', async (req, res) => {
 
 // Generate endpoint
 app.post('/api/generate', async (req, res) => {
-  const { prompt, engine, apiKey, duration } = req.body;
-  const runId = uuidv4();
-  jobs[runId] = { logs: [], status: 'pending', videoPath: null };
+  const { prompt, engine, apiKey, duration, provider, model, baseUrl, maxRepairAttempts, priority } = req.body;
+  let renderOptions;
+  let postProcess;
+  let captions;
+  let audio;
+  try {
+    renderOptions = parseRenderOptions(req.body);
+    postProcess = resolvePostProcess(req.body.postProcess, renderOptions.format);
+    captions = parseCaptions(req.body.captions, { format: renderOptions.format, engine });
+    audio = resolveAudioTrack(req.body.audio, renderOptions.format);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const { runId, codeReady } = startRun({
+    prompt,
+    engine,
+    apiKey,
+    llm: { provider, model, baseUrl },
+    duration,
+    renderOptions,
+    postProcess,
+    captions,
+    audio,
+    maxRepairAttempts,
+    priority,
+    describeOutput: outputUrls
+  });
+
+  // Answer once code exists, so generation errors still get a 400; rendering continues in the background
+  try {
+    await codeReady;
+    return res.json({ runId });
+  } catch (err) {
+    return res.status(isCancellation(err) ? 409 : 400).json({ error: err.message, issues: err.issues });
+  }
+});
+
+// Code generation only: returns validated code so it can be edited before rendering
+app.post('/api/codegen', async (req, res) => {
+  const { prompt, engine, apiKey, provider, model, baseUrl } = req.body;
+  // Abort the LLM request if the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    const code = await generateCode(prompt, engine, apiKey, { provider, model, baseUrl }, { signal: controller.signal });
+    return res.json({ engine, code });
+  } catch (err) {
+    // Nobody is left to answer
+    if (controller.signal.aborted) return;
+    return res.status(400).json({ error: err.message, issues: err.issues });
+  }
+});
 
+// Render user-supplied code without calling the LLM
+app.post('/api/render', async (req, res) => {
+  const { engine, duration, provider, model, baseUrl, apiKey, priority } = req.body;
+  // Hand-edited code is rendered as written unless repairs are explicitly requested
+  const maxRepairAttempts = req.body.maxRepairAttempts ?? 0;
+  let code;
+  let renderOptions;
+  let postProcess;
+  let captions;
+  let audio;
   try {
-    jobs[runId].logs.push('Code generation started');
-    const code = await generateCode(prompt, engine, apiKey);
-    jobs[runId].logs.push('Code generation completed');
-
-    setImmediate(async () => {
-      jobs[runId].logs.push(`Rendering started using ${engine}`);
-      try {
-        let videoPath;
-        if (engine === 'p5') {
-          // Render with p5.js, passing a logger that pushes into our jobs map
-          videoPath = await generateWithP5(code, runId, msg => jobs[runId].logs.push(msg), duration);
-        } else if (engine === 'manim') {
-          // Render with Manim (with per-step logs)
-          videoPath = await generateWithManim(code, runId, msg => jobs[runId].logs.push(msg));
-        } else {
-          throw new Error('Invalid engine during render');
-        }
-        // Derive URL from returned file path
-        const filename = path.basename(videoPath);
-        jobs[runId].videoPath = `/videos/${filename}`;
-        jobs[runId].status = 'done';
-        jobs[runId].logs.push('Rendering complete');
-      } catch (err) {
-        jobs[runId].logs.push(`Error: ${err.message}`);
-        jobs[runId].status = 'done';
-      }
+    code = await validateUserCode(req.body.code, engine);
+    renderOptions = parseRenderOptions(req.body);
+    postProcess = resolvePostProcess(req.body.postProcess, renderOptions.format);
+    captions = parseCaptions(req.body.captions, { format: renderOptions.format, engine });
+    audio = resolveAudioTrack(req.body.audio, renderOptions.format);
+  } catch (err) {
+    return res.status(400).json({ error: err.message, issues: err.issues });
+  }
+
+  const { runId } = startRun({
+    engine,
+    code,
+    apiKey,
+    llm: { provider, model, baseUrl },
+    duration,
+    renderOptions,
+    postProcess,
+    captions,
+    audio,
+    maxRepairAttempts,
+    priority,
+    record: { source: 'user' },
+    describeOutput: outputUrls
+  });
+  jobStore.appendLog(runId, 'Using supplied code');
+  return res.json({ runId });
+});
+
+// Storyboard planning only: returns the segments as editable JSON without rendering anything
+app.post('/api/storyboard/plan', async (req, res) => {
+  const { topic, engine, apiKey, provider, model, baseUrl, segmentCount, totalDurationSecs } = req.body;
+  // Abort the LLM request if the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    const storyboard = await planStoryboard(topic, engine, apiKey, { provider, model, baseUrl }, {
+      segmentCount,
+      totalDurationSecs,
+      signal: controller.signal
     });
+    return res.json({ storyboard });
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// Storyboard render: plan segments from a topic (or take an edited storyboard), then render and join them
+app.post('/api/storyboard', async (req, res) => {
+  const {
+    topic, storyboard, engine, transition, apiKey, provider, model, baseUrl,
+    maxRepairAttempts, priority, segmentCount, totalDurationSecs
+  } = req.body;
+  let run;
+  try {
+    const renderOptions = parseRenderOptions(req.body);
+    run = startStoryboard({
+      engine,
+      topic,
+      storyboard,
+      planOptions: { segmentCount, totalDurationSecs },
+      transition,
+      apiKey,
+      llm: { provider, model, baseUrl },
+      renderOptions,
+      postProcess: resolvePostProcess(req.body.postProcess, renderOptions.format),
+      captions: parseCaptions(req.body.captions, { format: renderOptions.format, engine, storyboard: true }),
+      audio: resolveAudioTrack(req.body.audio, renderOptions.format),
+      maxRepairAttempts,
+      priority,
+      describeOutput: outputUrls
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
+  // Answer once the storyboard exists, so planning errors still get a 400
+  try {
+    const plan = await run.planReady;
+    return res.json({ runId: run.runId, storyboard: plan });
+  } catch (err) {
+    return res.status(isCancellation(err) ? 409 : 400).json({ error: err.message });
+  }
+});
+
+// Render a finished storyboard run again as a new run, regenerating the listed segments (1-based)
+app.post('/api/storyboard/:runId/regenerate', (req, res) => {
+  const { segments, storyboard, transition, postProcess, captions, audio, apiKey, provider, model, baseUrl, maxRepairAttempts, priority } = req.body;
+  if (!jobStore.getJob(req.params.runId)) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
+  try {
+    const { runId } = regenerateSegments(req.params.runId, {
+      segments,
+      storyboard,
+      transition,
+      postProcess,
+      captions,
+      audio,
+      apiKey,
+      llm: { provider, model, baseUrl },
+      maxRepairAttempts,
+      priority,
+      describeOutput: outputUrls
+    });
     return res.json({ runId });
   } catch (err) {
     return res.status(400).json({ error: err.message });
   }
 });
 
+// Audio upload: the raw file as the request body, its name in ?filename= for the extension.
+// Returns an uploadId that requests pass as audio: { uploadId, ...options }
+app.post('/api/audio', express.raw({ type: () => true, limit: MAX_UPLOAD_BYTES }), async (req, res) => {
+  try {
+    const upload = await saveAudioUpload(req.body, req.query.filename);
+    return res.json(upload);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// Post-processing presets: named chains that requests can use as postProcess: 'name'
+app.get('/api/presets', (req, res) => {
+  res.json({ presets: listPresets() });
+});
+
+app.get('/api/presets/:name', (req, res) => {
+  const preset = getPreset(req.params.name);
+  if (!preset) {
+    return res.status(404).json({ error: 'Preset not found' });
+  }
+  res.json(preset);
+});
+
+app.put('/api/presets/:name', (req, res) => {
+  try {
+    return res.json(savePreset(req.params.name, req.body.steps, req.body.description));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/presets/:name', (req, res) => {
+  if (!deletePreset(req.params.name)) {
+    return res.status(404).json({ error: 'Preset not found' });
+  }
+  res.json({ deleted: req.params.name });
+});
+
+// Job history endpoint (paginated, filterable by status/engine/search)
+app.get('/api/jobs', (req, res) => {
+  const { page, pageSize, status, engine, search } = req.query;
+  res.json(jobStore.listJobs({ page, pageSize, status, engine, search }));
+});
+
+// Single job endpoint, including code and logs
+app.get('/api/jobs/:runId', (req, res) => {
+  const job = jobStore.getJob(req.params.runId);
+  if (!job) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
+  res.json(job);
+});
+
+// Cancel an in-flight run
+app.delete('/api/jobs/:runId', (req, res) => {
+  const job = jobStore.getJob(req.params.runId);
+  if (!job) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
+  if (jobStore.isFinished(job) || !cancelRun(job.runId)) {
+    return res.status(409).json({ error: `Run is not in progress (status: ${job.status})` });
+  }
+  res.json({ runId: job.runId, cancelled: true });
+});
+
 // Logs endpoint (Server-Sent Events)
+// Typed events (stage, log, progress, code, storyboard, error, done) with JSON payloads and per-run ids.
+// Reconnecting clients resume after Last-Event-ID (or ?lastEventId=) instead of replaying everything;
+// a reset event means the missed events are gone and the job should be fetched from /api/jobs/:runId.
 app.get('/api/logs', (req, res) => {
   // 1) Extract and validate runId
   const runId = req.query.runId;
-  if (!jobs[runId]) {
+  const job = jobStore.getJob(runId);
+  if (!job) {
     return res.status(404).json({ error: 'Run not found' });
   }
+  let lastSentId = Number(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
 
   // 2) Set SSE headers
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
     Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
   });
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
 
-  // 3) Stream logs incrementally
-  let lastIndex = 0;
-  const sendLogs = () => {
-    const allLogs = jobs[runId].logs;
-    while (lastIndex < allLogs.length) {
-      const log = allLogs[lastIndex++];
-      res.write(`data: ${log}\n\n`);
-    }
+  // 3) Write events in id order, ending the stream after the final one
+  let closed = false;
+  const send = event => {
+    if (closed || event.id <= lastSentId) return;
+    lastSentId = event.id;
+    // JSON keeps multi-line log output on a single data line
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`);
+    if (event.type === 'done') cleanup();
   };
-  // Send any existing logs immediately
-  sendLogs();
-
-  // 4) Poll for new logs and final status
-  const interval = setInterval(() => {
-    sendLogs();
-    if (jobs[runId].status === 'done') {
-      // Send final event with videoPath
-      const payload = JSON.stringify({ videoPath: jobs[runId].videoPath });
-      res.write(`event: done\ndata: ${payload}\n\n`);
-      clearInterval(interval);
-      res.end();
-    }
-  }, 1000);
+
+  // 4) Subscribe before replaying so nothing published in between is missed
+  const unsubscribe = jobEvents.subscribe(runId, send);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+  function cleanup() {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+    res.end();
+  }
+  jobEvents.eventsSince(job, lastSentId).forEach(send);
+  // A finished run whose events the client has already seen has nothing left to stream
+  if (jobStore.isFinished(job)) cleanup();
 
   // 5) Clean up when client disconnects
-  req.on('close', () => clearInterval(interval));
+  req.on('close', cleanup);
 });
 
 const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server listening on port ${PORT}`);
+});
+
+// WebSocket job channel: subscribe to several runs and control them on one connection
+attachJobSocket(server, {
+  path: '/api/ws',
+  rerender: (runId, overrides) => rerun(runId, { ...overrides, describeOutput: outputUrls }).runId
 }); 
\ No newline at end of file
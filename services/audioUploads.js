@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const { v4: uuidv4 } = require('uuid');
+const { probeAudio } = require('../utils/ffmpeg');
+const { parseAudioTrack } = require('../utils/audioMux');
+
+/**
+ * Audio Uploads
+ * Stores uploaded soundtrack files and resolves the audio settings of a request, which
+ * name either an upload or a file on this machine.
+ */
+
+const AUDIO_DIR = path.join(app.getPath('userData'), 'media', 'audio');
+const MAX_UPLOAD_BYTES = 100 * 1024 * 1024;
+const UPLOAD_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+/**
+ * Stores an uploaded audio file after checking that ffmpeg can read audio from it.
+ * @param {Buffer} data - File contents
+ * @param {string} [filename] - Original file name; only its extension is kept
+ * @returns {Promise<{uploadId: string, durationSecs: number}>}
+ */
+async function saveAudioUpload(data, filename = '') {
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    throw new Error('Audio upload is empty');
+  }
+  if (data.length > MAX_UPLOAD_BYTES) {
+    throw new Error(`Audio upload is larger than ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`);
+  }
+  // ffmpeg picks the demuxer from the contents; the extension is only a hint
+  const extension = (path.extname(filename).toLowerCase().match(/^\.[a-z0-9]{1,5}$/) || ['.audio'])[0];
+  const uploadId = uuidv4();
+  const filePath = path.join(AUDIO_DIR, `${uploadId}${extension}`);
+
+  fs.mkdirSync(AUDIO_DIR, { recursive: true });
+  fs.writeFileSync(filePath, data);
+  try {
+    const { durationSecs } = await probeAudio(filePath);
+    return { uploadId, durationSecs };
+  } catch (err) {
+    fs.rmSync(filePath, { force: true });
+    throw err;
+  }
+}
+
+// Stored file of an upload, or null
+function uploadPath(uploadId) {
+  if (typeof uploadId !== 'string' || !UPLOAD_ID_PATTERN.test(uploadId) || !fs.existsSync(AUDIO_DIR)) {
+    return null;
+  }
+  const file = fs.readdirSync(AUDIO_DIR).find(name => name.startsWith(`${uploadId}.`));
+  return file ? path.join(AUDIO_DIR, file) : null;
+}
+
+/**
+ * Validates the audio settings of a request and locates the file.
+ * @param {object} [input] - { uploadId } or { path } plus the options of parseAudioTrack
+ * @param {string} [format='mp4'] - Output format of the render
+ * @returns {object|null} - Result of parseAudioTrack, or null when the request has no audio
+ */
+function resolveAudioTrack(input, format = 'mp4') {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== 'object') {
+    throw new Error('Audio must be an object with an uploadId or a path');
+  }
+
+  let filePath;
+  if (input.uploadId !== undefined) {
+    filePath = uploadPath(input.uploadId);
+    if (!filePath) throw new Error(`Audio upload not found: ${input.uploadId}`);
+  } else if (typeof input.path === 'string' && input.path) {
+    filePath = path.resolve(input.path);
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      throw new Error(`Audio file not found: ${input.path}`);
+    }
+  }
+  return parseAudioTrack({ ...input, path: filePath }, format);
+}
+
+module.exports = { AUDIO_DIR, MAX_UPLOAD_BYTES, saveAudioUpload, resolveAudioTrack };
@@ -0,0 +1,58 @@
+/**
+ * Cancellation Service
+ * Tracks an AbortController per in-flight run so HTTP and IPC callers can stop it.
+ * Renderers receive the AbortSignal and tear down their own processes on abort.
+ */
+
+const controllers = new Map();
+
+function createCancelledError() {
+  const err = new Error('Render cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+function isCancellation(err) {
+  return Boolean(err) && err.name === 'AbortError';
+}
+
+// Throw the cancellation error if the signal has already fired
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) throw createCancelledError();
+}
+
+/**
+ * Registers a run as cancellable.
+ * @param {string} runId
+ * @returns {AbortSignal} - Signal to pass down to code generation and renderers
+ */
+function registerRun(runId) {
+  const controller = new AbortController();
+  controllers.set(runId, controller);
+  return controller.signal;
+}
+
+/**
+ * Aborts a registered run.
+ * @param {string} runId
+ * @returns {boolean} - False if the run is not in flight
+ */
+function cancelRun(runId) {
+  const controller = controllers.get(runId);
+  if (!controller) return false;
+  controller.abort(createCancelledError());
+  return true;
+}
+
+function releaseRun(runId) {
+  controllers.delete(runId);
+}
+
+module.exports = {
+  registerRun,
+  cancelRun,
+  releaseRun,
+  isCancellation,
+  throwIfCancelled,
+  createCancelledError
+};
@@ -1,6 +1,7 @@
 const detectChrome = require('../utils/detectChrome');
 const detectManim = require('../utils/detectManim');
 const detectTeX = require('../utils/detectTeX');
+const { listP5Versions, DEFAULT_P5_VERSION } = require('../utils/p5Runtime');
 const which = require('which');
 const fs = require('fs');
 const path = require('path');
@@ -114,6 +115,7 @@ async function checkDiskSpace() {
 async function checkP5Requirements() {
   const requirements = {
     chrome: { name: 'Chrome Browser', critical: true },
+    p5Runtime: { name: 'Local p5.js Runtime', critical: true },
     nodeModules: { name: 'Node Dependencies', critical: false }
   };
 
@@ -137,6 +139,25 @@ async function checkP5Requirements() {
     };
   }
 
+  // Local p5.js copies (rendering no longer loads p5 from a CDN)
+  const p5Versions = listP5Versions();
+  if (p5Versions.length > 0) {
+    results.p5Runtime = {
+      ...requirements.p5Runtime,
+      available: true,
+      message: `p5.js versions available locally: ${p5Versions.map(v => v.version).join(', ')} (default ${DEFAULT_P5_VERSION})`,
+      versions: p5Versions
+    };
+  } else {
+    results.p5Runtime = {
+      ...requirements.p5Runtime,
+      available: false,
+      message: 'No local p5.js runtime found',
+      versions: [],
+      solution: 'Run `npm install` in the server directory or add p5.min.js under vendor/p5/<version>/'
+    };
+  }
+
   // Node modules check
   results.nodeModules = await checkNodeModules();
   results.nodeModules = { ...requirements.nodeModules, ...results.nodeModules };
@@ -0,0 +1,137 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Job Events Service
+ * Typed, ordered events for every run: stage, log, progress, code, storyboard, error and done.
+ * Each event carries a per-run monotonic id so a client can resume a stream
+ * (SSE Last-Event-ID) without replaying what it has already seen.
+ * Recent events are kept in memory. The job record is the durable copy: it keeps the id of
+ * each stored log line and of the latest event of every other type, so replay from it uses
+ * the original ids. When events a client missed are gone, it gets a reset event instead.
+ */
+
+const EVENT_TYPES = ['stage', 'log', 'progress', 'code', 'storyboard', 'error', 'done', 'reset'];
+const TERMINAL_STATUSES = ['done', 'failed', 'cancelled'];
+// Events kept per run for resumption, and how long a finished run keeps them
+const MAX_HISTORY = Number(process.env.MAX_EVENT_HISTORY || 2000);
+const HISTORY_TTL_MS = 10 * 60 * 1000;
+
+const emitter = new EventEmitter();
+// One listener per open stream, so the default warning threshold does not apply
+emitter.setMaxListeners(0);
+const history = new Map();
+
+/**
+ * Records and broadcasts an event for a job.
+ * @param {object} job - Job record from the job store; its lastEventId is advanced and, except
+ *   for log events (whose ids the store keeps with each line), eventIds[type] records the id
+ * @param {string} type - One of EVENT_TYPES
+ * @param {object} data - JSON-serialisable payload
+ * @returns {object} - The event: { id, type, data, timestamp }
+ */
+function publish(job, type, data) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown job event type: ${type}`);
+  }
+  job.lastEventId = (job.lastEventId || 0) + 1;
+  const event = { id: job.lastEventId, type, data, timestamp: new Date().toISOString() };
+  if (type !== 'log') job.eventIds = { ...job.eventIds, [type]: event.id };
+
+  let events = history.get(job.runId);
+  if (!events) {
+    events = [];
+    history.set(job.runId, events);
+  }
+  events.push(event);
+  if (events.length > MAX_HISTORY) events.splice(0, events.length - MAX_HISTORY);
+
+  emitter.emit(job.runId, event);
+  if (type === 'done') {
+    // Late reconnects within the TTL still resume exactly; after that the job store is replayed
+    setTimeout(() => history.delete(job.runId), HISTORY_TTL_MS).unref();
+  }
+  return event;
+}
+
+/**
+ * Listens for new events of one run.
+ * @param {string} runId
+ * @param {function(object):void} listener - Receives each event
+ * @returns {function(): void} - Unsubscribe
+ */
+function subscribe(runId, listener) {
+  emitter.on(runId, listener);
+  return () => emitter.off(runId, listener);
+}
+
+// Latest payload of each non-log event type, as the job record holds it
+const RECORD_PAYLOADS = {
+  stage: job => stagePayload(job),
+  progress: job => job.progress,
+  code: job => job.code && { code: job.code },
+  storyboard: job => job.storyboard && { storyboard: job.storyboard },
+  error: job => job.error && { message: job.error },
+  done: job => TERMINAL_STATUSES.includes(job.status) && donePayload(job)
+};
+
+// Rebuild a run's events from its stored record, under the ids they were published with.
+// Earlier stage, progress, code and storyboard events are superseded by the latest one.
+function eventsFromRecord(job) {
+  const events = job.logs.map((message, i) => ({ id: job.logEventIds[i], type: 'log', data: { message }, timestamp: null }));
+  for (const [type, payload] of Object.entries(RECORD_PAYLOADS)) {
+    const id = job.eventIds && job.eventIds[type];
+    const data = id && payload(job);
+    if (data) events.push({ id, type, data, timestamp: type === 'done' ? job.finishedAt : null });
+  }
+  return events.sort((a, b) => a.id - b.id);
+}
+
+// Tells a client its missed events are gone and the job should be fetched again;
+// the stream continues after this event's id
+function resetEvent(id, reason) {
+  return { id, type: 'reset', data: { reason }, timestamp: new Date().toISOString() };
+}
+
+/**
+ * Events after a given id, for replay when a client (re)connects. Replay comes from memory
+ * while it still holds every event after that id, otherwise from the job record. If the
+ * record cannot cover the gap either, a reset event comes first.
+ * @param {object} job - Job record
+ * @param {number} [lastEventId=0] - Last id the client has seen
+ * @returns {object[]}
+ */
+function eventsSince(job, lastEventId = 0) {
+  const events = history.get(job.runId);
+  if (events && events.length && events[0].id <= lastEventId + 1) {
+    return events.filter(event => event.id > lastEventId);
+  }
+  // Records written before event ids were stored cannot be replayed at all
+  if (!Array.isArray(job.logEventIds)) {
+    const lastId = job.lastEventId || 1;
+    return lastId > lastEventId ? [resetEvent(lastId, 'Stored events have no ids')] : [];
+  }
+  const replay = eventsFromRecord(job);
+  // Log lines dropped from the store had ids up to droppedLogEventId
+  const droppedId = job.droppedLogEventId || 0;
+  if (droppedId > lastEventId) {
+    return [resetEvent(droppedId, 'Older log lines were dropped'), ...replay.filter(event => event.id > droppedId)];
+  }
+  return replay.filter(event => event.id > lastEventId);
+}
+
+function stagePayload(job) {
+  return { status: job.status, queuePosition: job.queuePosition ?? null, estimatedWaitMs: job.estimatedWaitMs ?? null };
+}
+
+// Final payload: where the output is, or why there is none
+function donePayload(job) {
+  return {
+    status: job.status,
+    videoPath: job.videoPath,
+    files: job.files,
+    captionFiles: job.captionFiles,
+    error: job.error
+  };
+}
+
+module.exports = { EVENT_TYPES, publish, subscribe, eventsSince, stagePayload, donePayload };
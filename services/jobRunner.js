@@ -0,0 +1,407 @@
+const { v4: uuidv4 } = require('uuid');
+const { renderWithRepair } = require('./renderPipeline');
+const { renderStoryboard, removeClips } = require('./storyboardPipeline');
+const { generateCode } = require('../utils/codegenService');
+const { planStoryboard, parseStoryboard } = require('../utils/storyboardService');
+const { parseRenderOptions } = require('../utils/renderSettings');
+const { parseTransition } = require('../utils/videoSequence');
+const { resolveOutputFormat } = require('../utils/outputFormats');
+const { muxAudio } = require('../utils/audioMux');
+const { parseCaptions, addCaptions } = require('../utils/captions');
+const { postProcess } = require('../utils/postProcess');
+const { resolveAudioTrack } = require('./audioUploads');
+const { resolvePostProcess } = require('./postProcessPresets');
+const jobStore = require('./jobStore');
+const { registerRun, releaseRun, isCancellation } = require('./cancellation');
+
+/**
+ * Job Runner Service
+ * The run lifecycle shared by the Express server, its WebSocket channel and the Electron
+ * IPC handlers: create the job, generate code (or plan a storyboard), render in the
+ * background and record the outcome. Everything goes through the job store, which publishes the job events each
+ * transport streams; transports only decide how output paths are presented.
+ */
+
+// Record a failed or cancelled run in the job store and its log stream
+function finishWithError(runId, err) {
+  if (isCancellation(err)) {
+    jobStore.appendLog(runId, 'Render cancelled');
+    jobStore.updateJob(runId, { status: 'cancelled', error: err.message });
+  } else {
+    jobStore.appendLog(runId, `Error: ${err.message}`);
+    jobStore.updateJob(runId, { status: 'failed', error: err.message });
+  }
+}
+
+// Mirror render queue updates into the job record and its log stream
+function trackQueue(runId, engine, { state, position, estimatedWaitMs }) {
+  if (state === 'queued') {
+    jobStore.updateJob(runId, { status: 'queued', queuePosition: position, estimatedWaitMs });
+    jobStore.appendLog(runId, `Queued for ${engine} render at position ${position} (estimated wait ${Math.round(estimatedWaitMs / 1000)}s)`);
+  } else {
+    jobStore.updateJob(runId, { status: 'rendering', queuePosition: null, estimatedWaitMs: null });
+    jobStore.appendLog(runId, `Rendering started using ${engine}`);
+  }
+}
+
+// Post-processing, captions, then the soundtrack: captions are timed on the final cut, and
+// burning them in never re-encodes the audio
+async function finishOutput(videoPath, { renderOptions, steps, captions, audio, code, storyboard }, { logFn, signal }) {
+  const spec = resolveOutputFormat(renderOptions.format, renderOptions.transparent);
+  if (steps) {
+    const { mapTime } = await postProcess(videoPath, steps, { spec, logFn, signal });
+    // Storyboard captions follow their segments through trims, speed changes and cards
+    if (storyboard) {
+      storyboard = {
+        ...storyboard,
+        segments: storyboard.segments.map(segment => segment.startSecs === undefined ? segment : {
+          ...segment,
+          startSecs: mapTime(segment.startSecs),
+          endSecs: mapTime(segment.endSecs)
+        })
+      };
+    }
+  }
+  if (captions) await addCaptions(videoPath, captions, { spec, code, storyboard, logFn, signal });
+  if (audio) await muxAudio(videoPath, audio, { spec, logFn, signal });
+}
+
+/**
+ * Starts a run and returns at once; generation and rendering continue in the background.
+ * @param {object} request
+ * @param {string} request.engine - 'p5' or 'manim'
+ * @param {string} [request.prompt] - Prompt for the code generator; required when no code is given
+ * @param {string} [request.code] - Already validated code to render as-is
+ * @param {string} [request.apiKey] - Credential for generation and repairs
+ * @param {object} [request.llm] - Provider selection: { provider, model, baseUrl }
+ * @param {number} [request.duration] - p5 duration in seconds
+ * @param {object} [request.renderOptions] - Parsed render options (see parseRenderOptions)
+ * @param {object[]} [request.postProcess] - Post-processing steps (see resolvePostProcess)
+ * @param {object} [request.captions] - Parsed captions settings (see parseCaptions)
+ * @param {object} [request.audio] - Soundtrack to mux into the render (see resolveAudioTrack)
+ * @param {number} [request.maxRepairAttempts] - Repair rounds; the pipeline default when omitted
+ * @param {number} [request.priority=0] - Queue priority
+ * @param {object} [request.record] - Extra fields stored on the job record (source, sourceRunId, ...)
+ * @param {function(string): object} [request.describeOutput] - Maps the output path to the
+ *   fields the caller's clients use to fetch it (videoPath, files, ...)
+ * @returns {{runId: string, codeReady: Promise<string>, finished: Promise<object>}} - codeReady
+ *   settles once code exists; finished resolves with the final job record or rejects with the
+ *   run's error. Both are safe to ignore.
+ */
+function startRun({
+  engine,
+  prompt = null,
+  code = null,
+  apiKey,
+  llm = {},
+  duration,
+  renderOptions = {},
+  postProcess: steps = null,
+  captions = null,
+  audio = null,
+  maxRepairAttempts,
+  priority,
+  record = {},
+  describeOutput = () => ({})
+}) {
+  const runId = uuidv4();
+  jobStore.createJob({ runId, prompt, engine, code, duration, renderOptions, postProcess: steps, captions, audio, ...record });
+  const signal = registerRun(runId);
+  const log = msg => jobStore.appendLog(runId, msg);
+
+  // 1) Code: supplied, or generated from the prompt
+  const codeReady = code ? Promise.resolve(code) : (async () => {
+    jobStore.updateJob(runId, { status: 'generating' });
+    log('Code generation started');
+    const generated = await generateCode(prompt, engine, apiKey, llm, { signal });
+    jobStore.updateJob(runId, { code: generated });
+    log('Code generation completed');
+    return generated;
+  })();
+
+  // 2) Render, repairing the code if the engine rejects it
+  const finished = codeReady
+    .then(async readyCode => {
+      const result = await renderWithRepair(readyCode, {
+        engine,
+        runId,
+        apiKey,
+        llm,
+        duration,
+        renderOptions,
+        maxRepairAttempts,
+        priority,
+        onQueueUpdate: update => trackQueue(runId, engine, update),
+        onProgress: progress => jobStore.updateJob(runId, { progress }),
+        onCode: repaired => jobStore.updateJob(runId, { code: repaired }),
+        signal,
+        logFn: log
+      });
+      await finishOutput(result.videoPath, { renderOptions, steps, captions, audio, code: result.code }, { logFn: log, signal });
+      // Log first: the done event ends the run's event streams
+      log('Rendering complete');
+      return jobStore.updateJob(runId, {
+        status: 'done',
+        code: result.code,
+        outputPath: result.videoPath,
+        ...describeOutput(result.videoPath)
+      });
+    });
+
+  return { runId, codeReady, finished: settle(runId, codeReady, finished) };
+}
+
+// Record a failed or cancelled run and release it. Callers that await see the original
+// error, but the outcome is in the job store, so they need not handle either promise.
+function settle(runId, ready, finished) {
+  const settled = finished
+    .catch(err => {
+      finishWithError(runId, err);
+      throw err;
+    })
+    .finally(() => releaseRun(runId));
+  ready.catch(() => {});
+  settled.catch(() => {});
+  return settled;
+}
+
+/**
+ * Renders an existing run's code again as a new run, with some settings changed.
+ * Settings not given are taken from the original run.
+ * @param {string} sourceRunId - Run whose code is rendered
+ * @param {object} [overrides]
+ * @param {object} [overrides.options] - Render options (format, quality, resolution, fps, ...)
+ * @param {number} [overrides.duration]
+ * @param {Array|string|null} [overrides.postProcess] - Post-processing as in a request; null removes it
+ * @param {object|null} [overrides.captions] - Captions settings as in a request; null removes them
+ * @param {object|null} [overrides.audio] - Audio settings as in a request; null removes the soundtrack
+ * @param {number} [overrides.priority]
+ * @param {number} [overrides.maxRepairAttempts=0] - Repairs need apiKey and the LLM settings too
+ * @param {function(string): object} [overrides.describeOutput] - See startRun
+ * @returns {{runId: string, codeReady: Promise<string>, finished: Promise<object>}}
+ */
+function rerun(sourceRunId, { options = {}, duration, postProcess: steps, captions, audio, priority, maxRepairAttempts = 0, apiKey, provider, model, baseUrl, describeOutput } = {}) {
+  const source = jobStore.getJob(sourceRunId);
+  if (!source) throw new Error(`Run not found: ${sourceRunId}`);
+  if (!source.code) throw new Error('Run has no code to render');
+  const renderOptions = parseRenderOptions({ ...source.renderOptions, ...options });
+  const stepList = resolvePostProcess(steps === undefined ? source.postProcess : steps, renderOptions.format);
+  const captionSettings = parseCaptions(captions === undefined ? source.captions : captions, {
+    format: renderOptions.format,
+    engine: source.engine
+  });
+  const track = resolveAudioTrack(audio === undefined ? source.audio : audio, renderOptions.format);
+
+  const run = startRun({
+    engine: source.engine,
+    prompt: source.prompt,
+    code: source.code,
+    apiKey,
+    llm: { provider, model, baseUrl },
+    duration: duration ?? source.duration,
+    renderOptions,
+    postProcess: stepList,
+    captions: captionSettings,
+    audio: track,
+    maxRepairAttempts,
+    priority,
+    record: { source: 'rerender', sourceRunId },
+    describeOutput
+  });
+  jobStore.appendLog(run.runId, `Re-rendering code from run ${sourceRunId}`);
+  return run;
+}
+
+/**
+ * Starts a storyboard run: plan segments from a topic (unless a storyboard is given),
+ * then generate, render and join them in the background.
+ * Invalid settings throw before the run is created.
+ * @param {object} request
+ * @param {string} request.engine - 'p5' or 'manim'
+ * @param {string} [request.topic] - What the video explains; required when no storyboard is given
+ * @param {object} [request.storyboard] - Planned or hand-edited storyboard JSON
+ * @param {object} [request.planOptions] - { segmentCount, totalDurationSecs } for planning
+ * @param {string|object} [request.transition] - See parseTransition
+ * @param {(string|null)[]} [request.reuseClips] - Existing clip per segment (see regenerateSegments)
+ * @param {string} [request.apiKey]
+ * @param {object} [request.llm]
+ * @param {object} [request.renderOptions] - Parsed render options; must not be transparent
+ * @param {object[]} [request.postProcess] - Post-processing steps for the joined video (see resolvePostProcess)
+ * @param {object} [request.captions] - Parsed captions settings (see parseCaptions)
+ * @param {object} [request.audio] - Soundtrack for the joined video (see resolveAudioTrack)
+ * @param {number} [request.maxRepairAttempts]
+ * @param {number} [request.priority]
+ * @param {object} [request.record] - Extra fields stored on the job record
+ * @param {function(string): object} [request.describeOutput] - See startRun
+ * @returns {{runId: string, planReady: Promise<object>, finished: Promise<object>}}
+ */
+function startStoryboard({
+  engine,
+  topic = null,
+  storyboard = null,
+  planOptions = {},
+  transition,
+  reuseClips = [],
+  apiKey,
+  llm = {},
+  renderOptions = {},
+  postProcess: steps = null,
+  captions = null,
+  audio = null,
+  maxRepairAttempts,
+  priority,
+  record = {},
+  describeOutput = () => ({})
+}) {
+  if (engine !== 'p5' && engine !== 'manim') {
+    throw new Error(`Invalid engine: ${engine}`);
+  }
+  if (renderOptions.transparent) {
+    throw new Error('Storyboards cannot be transparent');
+  }
+  const parsedTransition = parseTransition(transition);
+  const plan = storyboard ? parseStoryboard(storyboard) : null;
+
+  const runId = uuidv4();
+  jobStore.createJob({
+    runId,
+    prompt: topic || plan?.topic || plan?.title || null,
+    engine,
+    mode: 'storyboard',
+    storyboard: plan,
+    transition: parsedTransition,
+    renderOptions,
+    postProcess: steps,
+    captions,
+    audio,
+    ...record
+  });
+  const signal = registerRun(runId);
+  const log = msg => jobStore.appendLog(runId, msg);
+
+  // 1) Storyboard: supplied, or planned from the topic
+  const planReady = plan ? Promise.resolve(plan) : (async () => {
+    jobStore.updateJob(runId, { status: 'planning' });
+    log('Storyboard planning started');
+    const planned = await planStoryboard(topic, engine, apiKey, llm, { ...planOptions, signal });
+    jobStore.updateJob(runId, { storyboard: planned });
+    log(`Storyboard planned: ${planned.segments.length} segments`);
+    return planned;
+  })();
+
+  // 2) Generate, render and join every segment
+  const finished = planReady.then(async readyPlan => {
+    const result = await renderStoryboard(readyPlan, {
+      runId,
+      engine,
+      apiKey,
+      llm,
+      renderOptions,
+      transition: parsedTransition,
+      maxRepairAttempts,
+      priority,
+      reuseClips,
+      signal,
+      logFn: log,
+      onQueueUpdate: update => trackQueue(runId, engine, update),
+      onProgress: progress => jobStore.updateJob(runId, { progress }),
+      onStoryboard: updated => jobStore.updateJob(runId, { storyboard: updated })
+    });
+    await finishOutput(result.videoPath, { renderOptions, steps, captions, audio, storyboard: result.storyboard }, { logFn: log, signal });
+    log('Rendering complete');
+    return jobStore.updateJob(runId, {
+      status: 'done',
+      storyboard: result.storyboard,
+      outputPath: result.videoPath,
+      ...describeOutput(result.videoPath)
+    });
+  });
+
+  return { runId, planReady, finished: settle(runId, planReady, finished) };
+}
+
+/**
+ * Renders a finished storyboard run again as a new run, regenerating the code of some segments.
+ * Other segments keep their code, and their clips are reused while code and duration are unchanged.
+ * When the new run succeeds, the source run's clips of the segments it rendered again are deleted.
+ * @param {string} sourceRunId - Storyboard run to start from
+ * @param {object} [request]
+ * @param {number[]} [request.segments] - 1-based numbers of the segments to regenerate
+ * @param {object} [request.storyboard] - Edited storyboard; defaults to the source run's
+ * @param {string|object} [request.transition] - Defaults to the source run's
+ * @param {Array|string|null} [request.postProcess] - Post-processing as in a request; defaults to the
+ *   source run's, null removes it
+ * @param {object|null} [request.captions] - Captions settings as in a request; defaults to the source
+ *   run's, null removes them
+ * @param {object|null} [request.audio] - Audio settings as in a request; defaults to the source run's,
+ *   null removes the soundtrack
+ * @param {string} [request.apiKey]
+ * @param {object} [request.llm]
+ * @param {number} [request.maxRepairAttempts]
+ * @param {number} [request.priority]
+ * @param {function(string): object} [request.describeOutput] - See startRun
+ * @returns {{runId: string, planReady: Promise<object>, finished: Promise<object>}}
+ */
+function regenerateSegments(sourceRunId, { segments = [], storyboard, transition, postProcess: steps, captions, audio, apiKey, llm, maxRepairAttempts, priority, describeOutput } = {}) {
+  const source = jobStore.getJob(sourceRunId);
+  if (!source) throw new Error(`Run not found: ${sourceRunId}`);
+  if (source.mode !== 'storyboard' || !source.storyboard) {
+    throw new Error('Run is not a storyboard run');
+  }
+  if (!jobStore.isFinished(source)) {
+    throw new Error(`Run is still in progress (status: ${source.status})`);
+  }
+
+  if (!Array.isArray(segments)) {
+    throw new Error('segments must be an array of segment numbers');
+  }
+  const plan = parseStoryboard(storyboard || source.storyboard);
+  const regenerate = [...new Set(segments.map(Number))].sort((a, b) => a - b);
+  for (const number of regenerate) {
+    if (!(Number.isInteger(number) && number >= 1 && number <= plan.segments.length)) {
+      throw new Error(`Invalid segment number: ${number}. Expected 1 to ${plan.segments.length}`);
+    }
+  }
+
+  const previous = source.storyboard.segments;
+  const reuseClips = plan.segments.map((segment, i) => {
+    if (regenerate.includes(i + 1)) {
+      segment.code = null;
+      return null;
+    }
+    const old = previous[i];
+    const unchanged = old && old.status === 'done' && old.code === segment.code && old.durationSecs === segment.durationSecs;
+    return unchanged ? old.clipPath : null;
+  });
+
+  const run = startStoryboard({
+    engine: source.engine,
+    topic: source.prompt,
+    storyboard: plan,
+    transition: transition ?? source.transition,
+    reuseClips,
+    postProcess: resolvePostProcess(steps === undefined ? source.postProcess : steps, source.renderOptions.format),
+    captions: parseCaptions(captions === undefined ? source.captions : captions, {
+      format: source.renderOptions.format,
+      engine: source.engine,
+      storyboard: true
+    }),
+    audio: resolveAudioTrack(audio === undefined ? source.audio : audio, source.renderOptions.format),
+    apiKey,
+    llm,
+    renderOptions: source.renderOptions,
+    maxRepairAttempts,
+    priority,
+    record: { source: 'regenerate', sourceRunId },
+    describeOutput
+  });
+  const which = regenerate.length ? `, regenerating segment${regenerate.length > 1 ? 's' : ''} ${regenerate.join(', ')}` : '';
+  jobStore.appendLog(run.runId, `Storyboard from run ${sourceRunId}${which}`);
+
+  // Once the new run has its own clips, the source run's clips it replaced are not needed
+  const replaced = previous.filter((old, i) => old.clipPath && !reuseClips[i]).map(old => old.clipPath);
+  run.finished.then(() => removeClips(replaced), () => {});
+  return run;
+}
+
+module.exports = { startRun, rerun, startStoryboard, regenerateSegments };
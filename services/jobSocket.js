@@ -0,0 +1,163 @@
+const { WebSocketServer } = require('ws');
+const jobStore = require('./jobStore');
+const jobEvents = require('./jobEvents');
+const renderQueue = require('./renderQueue');
+const { cancelRun } = require('./cancellation');
+
+/**
+ * Job Socket Service
+ * One WebSocket per client session for following and controlling runs.
+ * Clients subscribe to any number of runs and receive the same typed job events
+ * that feed the SSE log stream, and send control messages on the same socket.
+ *
+ * Client messages (JSON; an optional `requestId` is echoed in the reply):
+ *   { type: 'subscribe', runId, lastEventId? }   replay events after lastEventId (or a reset event
+ *                                                when they are gone), then stream
+ *   { type: 'unsubscribe', runId }
+ *   { type: 'cancel', runId }
+ *   { type: 'pause', engine? } / { type: 'resume', engine? }
+ *   { type: 'rerender', runId, options?, postProcess?, captions?, audio?, subscribe? }   render a run's code again with new settings
+ *   { type: 'queue' }                            current queue stats
+ *
+ * Server messages:
+ *   { type: 'event', runId, id, event, data, timestamp }   a job event
+ *   { type: 'queue', queue }                               queue stats, broadcast on pause/resume
+ *   { type: 'result', requestId, ... } / { type: 'error', requestId, error, issues? }
+ */
+
+const PING_INTERVAL_MS = 30000;
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+}
+
+function requireJob(runId) {
+  const job = jobStore.getJob(runId);
+  if (!job) throw new Error(`Run not found: ${runId}`);
+  return job;
+}
+
+/**
+ * Attaches the job channel to an HTTP server.
+ * @param {import('http').Server} server - Server the Express app listens on
+ * @param {object} options
+ * @param {string} [options.path='/api/ws'] - Upgrade path
+ * @param {function(string, object): string} options.rerender - Starts a new run from an
+ *   existing run's code with overridden settings; returns the new runId
+ * @returns {WebSocketServer}
+ */
+function attachJobSocket(server, { path = '/api/ws', rerender }) {
+  const wss = new WebSocketServer({ server, path });
+
+  const broadcastQueue = () => {
+    const message = { type: 'queue', queue: renderQueue.getQueueStats() };
+    for (const client of wss.clients) send(client, message);
+  };
+
+  wss.on('connection', socket => {
+    // runId -> { unsubscribe, lastSentId }
+    const subscriptions = new Map();
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+
+    // Returns the replay of missed events, to be run once the request has been answered
+    function subscribe(job, lastEventId = 0) {
+      if (subscriptions.has(job.runId)) subscriptions.get(job.runId).unsubscribe();
+      const subscription = { lastSentId: Number(lastEventId) || 0 };
+      const forward = event => {
+        if (event.id <= subscription.lastSentId) return;
+        subscription.lastSentId = event.id;
+        send(socket, { type: 'event', runId: job.runId, id: event.id, event: event.type, data: event.data, timestamp: event.timestamp });
+      };
+      // Subscribe before replaying so nothing published in between is missed
+      subscription.unsubscribe = jobEvents.subscribe(job.runId, forward);
+      subscriptions.set(job.runId, subscription);
+      return () => jobEvents.eventsSince(job, subscription.lastSentId).forEach(forward);
+    }
+
+    function unsubscribe(runId) {
+      const subscription = subscriptions.get(runId);
+      if (!subscription) return false;
+      subscription.unsubscribe();
+      subscriptions.delete(runId);
+      return true;
+    }
+
+    const handlers = {
+      subscribe: ({ runId, lastEventId }, after) => {
+        after.push(subscribe(requireJob(runId), lastEventId));
+        return { runId };
+      },
+      unsubscribe: ({ runId }) => ({ runId, unsubscribed: unsubscribe(runId) }),
+      cancel: ({ runId }) => {
+        const job = requireJob(runId);
+        if (jobStore.isFinished(job) || !cancelRun(runId)) {
+          throw new Error(`Run is not in progress (status: ${job.status})`);
+        }
+        return { runId, cancelled: true };
+      },
+      pause: ({ engine }) => {
+        renderQueue.pause(engine);
+        broadcastQueue();
+        return { queue: renderQueue.getQueueStats() };
+      },
+      resume: ({ engine }) => {
+        renderQueue.resume(engine);
+        broadcastQueue();
+        return { queue: renderQueue.getQueueStats() };
+      },
+      queue: () => ({ queue: renderQueue.getQueueStats() }),
+      rerender: (message, after) => {
+        const runId = rerender(message.runId, message);
+        // Follow the new run by default, since that is almost always why it was started
+        if (message.subscribe !== false) after.push(subscribe(requireJob(runId)));
+        return { runId, sourceRunId: message.runId };
+      }
+    };
+
+    socket.on('message', raw => {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch {
+        return send(socket, { type: 'error', error: 'Messages must be JSON' });
+      }
+      const { type, requestId } = message || {};
+      const handler = Object.prototype.hasOwnProperty.call(handlers, type) ? handlers[type] : null;
+      if (!handler) {
+        return send(socket, { type: 'error', requestId, error: `Unknown message type: ${type}` });
+      }
+      // Replies go out before any replayed events so clients learn new runIds first.
+      // Everything here is synchronous, so no live event can slip in between.
+      const after = [];
+      try {
+        send(socket, { type: 'result', requestId, request: type, ...handler(message, after) });
+      } catch (err) {
+        return send(socket, { type: 'error', requestId, request: type, error: err.message, issues: err.issues });
+      }
+      after.forEach(replay => replay());
+    });
+
+    socket.on('close', () => {
+      for (const runId of [...subscriptions.keys()]) unsubscribe(runId);
+    });
+  });
+
+  // Drop connections that stop answering pings (sleeping laptops, dead proxies)
+  const pinger = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, PING_INTERVAL_MS);
+  pinger.unref();
+  wss.on('close', () => clearInterval(pinger));
+
+  return wss;
+}
+
+module.exports = { attachJobSocket };
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const jobEvents = require('./jobEvents');
+
+/**
+ * Job Store Service
+ * File-backed record of every render run (prompt, code, status, timings, logs, output)
+ * so history survives restarts. Writes are batched, written in the background and
+ * replace the file atomically. Only the most recent log lines of each job are kept.
+ * Every change is also published as a typed job event (see jobEvents).
+ */
+
+const STORE_PATH = path.join(app.getPath('userData'), 'jobs.json');
+const MAX_JOBS = Number(process.env.MAX_STORED_JOBS || 500);
+const FLUSH_DELAY_MS = 500;
+// Per-frame and progress output would otherwise grow the store without bound
+const MAX_STORED_LOGS = Number(process.env.MAX_STORED_LOGS || 1000);
+const MAX_LOG_CHARS = 10000;
+
+const TERMINAL_STATUSES = ['done', 'failed', 'cancelled'];
+
+let jobs = null;
+let flushTimer = null;
+let writing = false;
+let dirty = false;
+
+// Load the store from disk on first use
+function load() {
+  if (jobs) return jobs;
+  jobs = {};
+  try {
+    if (fs.existsSync(STORE_PATH)) {
+      jobs = JSON.parse(fs.readFileSync(STORE_PATH, 'utf8'));
+    }
+  } catch (err) {
+    console.warn(`[Job Store] Could not read ${STORE_PATH}, starting empty: ${err.message}`);
+    jobs = {};
+  }
+
+  // Runs that were in flight when the process stopped can never finish
+  for (const job of Object.values(jobs)) {
+    if (!TERMINAL_STATUSES.includes(job.status)) {
+      job.status = 'failed';
+      job.error = 'Interrupted by server restart';
+      job.finishedAt = job.finishedAt || new Date().toISOString();
+      // Give the outcome event ids, as updateJob would have
+      jobEvents.publish(job, 'stage', jobEvents.stagePayload(job));
+      jobEvents.publish(job, 'error', { message: job.error });
+      jobEvents.publish(job, 'done', jobEvents.donePayload(job));
+      scheduleFlush();
+    }
+    // Stores written before logs were capped
+    trimLogs(job);
+  }
+  return jobs;
+}
+
+// Keep the last MAX_STORED_LOGS lines, counting what was dropped and the last dropped event id
+function trimLogs(job) {
+  const excess = job.logs.length - MAX_STORED_LOGS;
+  if (excess <= 0) return;
+  job.logs.splice(0, excess);
+  if (job.logEventIds) job.droppedLogEventId = job.logEventIds.splice(0, excess)[excess - 1];
+  job.droppedLogs = (job.droppedLogs || 0) + excess;
+}
+
+// Write the whole store in the background (temp file + rename); one write at a time
+async function writeStore() {
+  flushTimer = null;
+  if (!jobs || !dirty) return;
+  dirty = false;
+  writing = true;
+  try {
+    await fs.promises.mkdir(path.dirname(STORE_PATH), { recursive: true });
+    const tmpPath = `${STORE_PATH}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(jobs));
+    await fs.promises.rename(tmpPath, STORE_PATH);
+  } catch (err) {
+    console.error(`[Job Store] Failed to persist jobs: ${err.message}`);
+  } finally {
+    writing = false;
+    // Changes made during the write go out in the next one
+    if (dirty) scheduleFlush();
+  }
+}
+
+/**
+ * Writes pending changes synchronously, for use at exit. A background write still in
+ * progress is superseded, so it uses its own temp file.
+ */
+function flush() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  if (!jobs || !(dirty || writing)) return;
+  dirty = false;
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+  const tmpPath = `${STORE_PATH}.exit.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(jobs));
+  fs.renameSync(tmpPath, STORE_PATH);
+}
+
+function scheduleFlush() {
+  dirty = true;
+  if (flushTimer || writing) return;
+  flushTimer = setTimeout(writeStore, FLUSH_DELAY_MS);
+  // The exit hook flushes anything pending, so the timer need not keep the process alive
+  flushTimer.unref();
+}
+
+// Drop the oldest finished jobs once the store exceeds MAX_JOBS
+function prune() {
+  const finished = Object.values(jobs)
+    .filter(job => TERMINAL_STATUSES.includes(job.status))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  let excess = Object.keys(jobs).length - MAX_JOBS;
+  for (const job of finished) {
+    if (excess <= 0) break;
+    delete jobs[job.runId];
+    excess--;
+  }
+}
+
+/**
+ * Creates a new job record.
+ * @param {object} fields - Initial fields (runId, prompt, engine, ...)
+ * @returns {object} - The stored job
+ */
+function createJob({ runId, prompt = null, engine = null, ...rest }) {
+  load();
+  jobs[runId] = {
+    runId,
+    prompt,
+    engine,
+    status: 'pending',
+    code: null,
+    videoPath: null,
+    outputPath: null,
+    error: null,
+    logs: [],
+    logEventIds: [],
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    ...rest
+  };
+  prune();
+  scheduleFlush();
+  jobEvents.publish(jobs[runId], 'stage', jobEvents.stagePayload(jobs[runId]));
+  return jobs[runId];
+}
+
+function getJob(runId) {
+  // Own keys only, so names such as __proto__ or constructor are not runs
+  return Object.hasOwn(load(), runId) ? jobs[runId] : null;
+}
+
+/**
+ * Applies a partial update to a job. Moving to a terminal status records the finish time.
+ * Publishes stage, progress, code, storyboard, error and done events for whatever the patch changed.
+ * @param {string} runId
+ * @param {object} patch
+ * @returns {object|null} - The updated job, or null if it does not exist
+ */
+function updateJob(runId, patch) {
+  const job = getJob(runId);
+  if (!job) return null;
+  const previous = { status: job.status, queuePosition: job.queuePosition, code: job.code };
+  Object.assign(job, patch);
+  if (patch.status === 'rendering' && !job.startedAt) {
+    job.startedAt = new Date().toISOString();
+  }
+  if (TERMINAL_STATUSES.includes(patch.status)) {
+    job.finishedAt = new Date().toISOString();
+    job.durationMs = Date.parse(job.finishedAt) - Date.parse(job.createdAt);
+  }
+  scheduleFlush();
+
+  if (job.code !== previous.code && job.code) {
+    jobEvents.publish(job, 'code', { code: job.code });
+  }
+  if ('progress' in patch && patch.progress) {
+    jobEvents.publish(job, 'progress', patch.progress);
+  }
+  if ('storyboard' in patch && patch.storyboard) {
+    jobEvents.publish(job, 'storyboard', { storyboard: patch.storyboard });
+  }
+  if (job.status !== previous.status || job.queuePosition !== previous.queuePosition) {
+    jobEvents.publish(job, 'stage', jobEvents.stagePayload(job));
+    if (job.status !== previous.status && TERMINAL_STATUSES.includes(job.status)) {
+      if (job.status === 'failed') jobEvents.publish(job, 'error', { message: job.error });
+      jobEvents.publish(job, 'done', jobEvents.donePayload(job));
+    }
+  }
+  return job;
+}
+
+function appendLog(runId, message) {
+  const job = getJob(runId);
+  if (!job) return;
+  // Subscribers get the whole message; the store keeps the tail, where errors end
+  const stored = String(message);
+  const event = jobEvents.publish(job, 'log', { message });
+  job.logs.push(stored.length > MAX_LOG_CHARS ? `...${stored.slice(-MAX_LOG_CHARS)}` : stored);
+  job.logEventIds.push(event.id);
+  trimLogs(job);
+  scheduleFlush();
+}
+
+function isFinished(job) {
+  return TERMINAL_STATUSES.includes(job.status);
+}
+
+/**
+ * Lists jobs newest first, without logs, code or storyboards.
+ * @param {object} [query]
+ * @param {number} [query.page=1] - 1-based page number
+ * @param {number} [query.pageSize=20] - Jobs per page (max 100)
+ * @param {string} [query.status] - Filter by status
+ * @param {string} [query.engine] - Filter by engine
+ * @param {string} [query.search] - Case-insensitive prompt substring
+ * @returns {{jobs: object[], total: number, page: number, pageSize: number}}
+ */
+function listJobs({ page = 1, pageSize = 20, status, engine, search } = {}) {
+  page = Math.max(1, parseInt(page, 10) || 1);
+  pageSize = Math.min(100, Math.max(1, parseInt(pageSize, 10) || 20));
+  const needle = search ? String(search).toLowerCase() : null;
+
+  const matching = Object.values(load())
+    .filter(job => !status || job.status === status)
+    .filter(job => !engine || job.engine === engine)
+    .filter(job => !needle || (job.prompt || '').toLowerCase().includes(needle))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const pageJobs = matching
+    .slice((page - 1) * pageSize, page * pageSize)
+    .map(({ logs, logEventIds, code, storyboard, ...summary }) => summary);
+
+  return { jobs: pageJobs, total: matching.length, page, pageSize };
+}
+
+// Make sure pending writes reach disk when the process exits
+process.on('exit', () => {
+  try {
+    flush();
+  } catch {
+    // nothing left to do at exit
+  }
+});
+
+module.exports = {
+  createJob,
+  getJob,
+  updateJob,
+  appendLog,
+  isFinished,
+  listJobs,
+  flush
+};
@@ -3,43 +3,313 @@ const path = require('path');
 const { app } = require('electron');
 const { spawn } = require('child_process');
 const detectManim = require('../utils/detectManim');
+const killProcessTree = require('../utils/killProcessTree');
+const { throwIfCancelled, createCancelledError, isCancellation } = require('./cancellation');
+const { runFfmpeg } = require('../utils/ffmpeg');
+const { resolveOutputFormat, encoderArgs, outputPathFor, ffmpegTarget } = require('../utils/outputFormats');
+const { QUALITY_PRESETS, resolveRenderSettings } = require('../utils/renderSettings');
+const { createSandbox, sandboxCommand, limitError } = require('./manimSandbox');
+const { countAnimations, createProgressParser } = require('../utils/manimProgress');
+const { findScenes, sceneSource } = require('../utils/manimScenes');
 
 // Directories for scripts and generated media
 const SCRIPTS_DIR = path.join(app.getPath('userData'), 'scripts');
 const MEDIA_DIR   = path.join(app.getPath('userData'), 'media', 'videos');
 
+const DEFAULT_QUALITY = process.env.MANIM_QUALITY || '4k';
+const DEFAULT_SCENE_CONCURRENCY = Number(process.env.MANIM_SCENE_CONCURRENCY || 1);
+
 /**
- * Renders a Manim Scene to a video file.
- * @param {string} code  - The Python code defining class GeneratedScene(Scene)
+ * Renders a Manim script to a video file (or PNG sequence).
+ * Scripts with numbered scenes (Scene01Intro, Scene02Proof, ...) have each scene rendered
+ * by its own Manim process and the results joined in order with ffmpeg.
+ * @param {string} code  - Python code defining class GeneratedScene(Scene) or numbered scenes
  * @param {string} runId - Unique identifier for this render job
  * @param {function(string):void} [logFn] - Optional logging callback
- * @returns {Promise<string>} - Resolves to the path of the generated MP4
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Kills the Manim process tree when aborted
+ * @param {string} [options.format='mp4'] - Output format (see utils/outputFormats)
+ * @param {boolean} [options.transparent=false] - Render with a transparent background
+ * @param {string} [options.quality] - low | medium | high | production | 4k (default MANIM_QUALITY or 4k)
+ * @param {string|object} [options.resolution] - Explicit output size, overrides the preset
+ * @param {number} [options.fps] - Explicit frame rate, overrides the preset
+ * @param {number} [options.sceneConcurrency] - Scenes rendered at once (default MANIM_SCENE_CONCURRENCY or 1).
+ *   Sandbox limits apply to each scene's process separately.
+ * @param {function(object):void} [options.onProgress] - Receives progress parsed from Manim's
+ *   progress bars: { scene, sceneIndex, sceneCount, animation, totalAnimations, name, percent,
+ *   step, steps, itPerSec, scenePercent, overallPercent }
+ * @returns {Promise<string>} - Resolves to the path of the generated file or PNG directory
  */
-async function generateWithManim(code, runId, logFn = () => {}) {
+async function generateWithManim(code, runId, logFn = () => {}, {
+  signal,
+  format = 'mp4',
+  transparent = false,
+  quality,
+  resolution,
+  fps,
+  sceneConcurrency = DEFAULT_SCENE_CONCURRENCY,
+  onProgress = () => {}
+} = {}) {
+  const output = resolveOutputFormat(format, transparent);
+  const settings = resolveRenderSettings({ quality: quality || DEFAULT_QUALITY, resolution, fps });
+  const scenes = findScenes(code);
+  // Formats Manim cannot write itself (APNG, PNG sequence) are rendered to MOV and converted with ffmpeg.
+  // GIF scenes cannot be joined without re-encoding, so multi-scene GIFs take the same route.
+  const manimFormat = output.manimFormat && !(scenes.length > 1 && output.name === 'gif') ? output.manimFormat : 'mov';
+
   // 1) Ensure output directories exist
   if (!fs.existsSync(SCRIPTS_DIR)) fs.mkdirSync(SCRIPTS_DIR, { recursive: true });
   if (!fs.existsSync(MEDIA_DIR)) fs.mkdirSync(MEDIA_DIR, { recursive: true });
-  const outDir = path.join(MEDIA_DIR, runId);
-  if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
 
-  // 2) Write the Python code to a script file
-  const scriptPath = path.join(SCRIPTS_DIR, `${runId}.py`);
+  // 2) Write the Python code to a script file (kept for history) and into a private working directory
+  fs.writeFileSync(path.join(SCRIPTS_DIR, `${runId}.py`), code);
+  const sandbox = createSandbox(runId);
+  const scriptPath = path.join(sandbox.workDir, `${runId}.py`);
   fs.writeFileSync(scriptPath, code);
+  const outDir = path.join(sandbox.workDir, 'media');
   logFn('Manim script written');
 
-  // 3) Locate the Manim executable
-  const manimCmd = await detectManim();
-  logFn('Manim executable found');
+  let renderedPath;
+  try {
+    // 3) Locate the Manim executable
+    const manimCmd = await detectManim();
+    logFn('Manim executable found');
+    throwIfCancelled(signal);
+
+    // 4) Run the Manim CLI once per scene
+    const args = [
+      QUALITY_PRESETS[settings.quality].flag,
+      '--resolution', `${settings.width},${settings.height}`,
+      '--fps', String(settings.fps),
+      '--disable_caching',
+      '--format', manimFormat,
+      '--media_dir', outDir
+    ];
+    if (output.transparent) args.push('--transparent');
+    args.push(scriptPath);
+    logFn(`Rendering at ${settings.width}x${settings.height} ${settings.fps}fps (${settings.quality})`);
+
+    // Manim writes to <media_dir>/videos/<script name>/<height>p<fps>/<Scene>.<ext>
+    const videoDir = path.join(outDir, 'videos', path.basename(scriptPath, '.py'), `${settings.height}p${settings.fps}`);
+    const sceneVideos = await renderScenes(manimCmd, args, scenes, {
+      code, videoDir, manimFormat, sandbox, signal, logFn, onProgress, concurrency: sceneConcurrency
+    });
+
+    // Move the video to the root media/videos directory with runId as filename
+    renderedPath = path.join(MEDIA_DIR, `${runId}.${manimFormat}`);
+    if (sceneVideos.length > 1) {
+      await concatScenes(sceneVideos, renderedPath, { workDir: sandbox.workDir, logFn, signal });
+    } else {
+      try {
+        fs.copyFileSync(sceneVideos[0], renderedPath);
+      } catch (err) {
+        logFn(`Error processing video: ${err.message}`);
+        throw new Error(`Error processing Manim output: ${err.message}`);
+      }
+    }
+  } finally {
+    // Remove everything the render left behind, whether it finished or not
+    sandbox.cleanup();
+  }
+
+  if (manimFormat === output.manimFormat) {
+    logFn(`Video successfully saved to ${renderedPath}`);
+    return renderedPath;
+  }
+
+  // 5) Convert the intermediate MOV into the requested format
+  const finalOutputPath = outputPathFor(MEDIA_DIR, runId, output);
+  logFn(`Converting Manim output to ${output.name}`);
+  try {
+    if (output.sequence) {
+      fs.rmSync(finalOutputPath, { recursive: true, force: true });
+      fs.mkdirSync(finalOutputPath, { recursive: true });
+    }
+    await runFfmpeg([
+      '-y', '-i', renderedPath,
+      ...encoderArgs(output),
+      ffmpegTarget(finalOutputPath, output)
+    ], { logFn, signal });
+  } catch (err) {
+    if (output.sequence) fs.rmSync(finalOutputPath, { recursive: true, force: true });
+    throw err;
+  } finally {
+    fs.rmSync(renderedPath, { force: true });
+  }
+  logFn(`Video successfully saved to ${finalOutputPath}`);
+  return finalOutputPath;
+}
+
+// Path of a scene's finished video, or the reason Manim did not produce one
+function findSceneVideo(videoDir, scene, manimFormat, logFn) {
+  const videoName = `${scene}.${manimFormat}`;
+  const videoPath = path.join(videoDir, videoName);
+  if (fs.existsSync(videoPath)) return videoPath;
+
+  // Partial movie files without a final video mean the assembly step failed
+  const partialDir = path.join(videoDir, 'partial_movie_files', scene);
+  if (fs.existsSync(partialDir)) {
+    logFn(`Found partial files, but no final ${videoName}`);
+    throw new Error('Manim rendering incomplete: Final video assembly failed. This may be due to complex animations or system resource constraints. Try simplifying the prompt.');
+  }
+  throw new Error(`Could not find ${videoName} at ${videoPath}. Manim may have failed silently.`);
+}
+
+/**
+ * Renders each scene with its own Manim process, up to `concurrency` at a time.
+ * After a failure no further scenes are started; scenes already running are allowed to finish
+ * so every failure is reported.
+ * @param {string} manimCmd - Manim executable
+ * @param {string[]} args - CLI arguments up to and including the script path
+ * @param {string[]} scenes - Scene class names in playback order
+ * @param {object} options
+ * @returns {Promise<string[]>} - Video path of each scene, in order. A failure rejects with the
+ *   scene's own error for single-scene scripts; otherwise with an error naming the failed scenes,
+ *   whose `scenes` lists every scene's status
+ */
+async function renderScenes(manimCmd, args, scenes, { code, videoDir, manimFormat, sandbox, signal, logFn, onProgress, concurrency }) {
+  const count = scenes.length;
+  const multiScene = count > 1;
+  const results = scenes.map(name => ({ name, status: 'pending', error: null }));
+  // Completed fraction of each scene, for progress across the whole script
+  const fractions = scenes.map(() => 0);
+  const videos = [];
+  let next = 0;
+  let failed = false;
+
+  const renderScene = async index => {
+    const name = scenes[index];
+    const label = `Scene ${index + 1}/${count} ${name}`;
+    const sceneLog = multiScene ? msg => logFn(`[${name}] ${msg}`) : logFn;
+    if (multiScene) logFn(`${label}: rendering`);
+    results[index].status = 'rendering';
+
+    await runManim(manimCmd, [...args, name], {
+      sandbox,
+      signal,
+      logFn: sceneLog,
+      totalAnimations: countAnimations(multiScene ? sceneSource(code, name) || '' : code),
+      onProgress: progress => {
+        if (progress.overallPercent !== null) fractions[index] = progress.overallPercent / 100;
+        const overall = fractions.reduce((sum, fraction) => sum + fraction, 0) / count;
+        onProgress({
+          scene: name,
+          sceneIndex: index + 1,
+          sceneCount: count,
+          ...progress,
+          scenePercent: progress.overallPercent,
+          overallPercent: progress.overallPercent === null ? null : Math.round(overall * 1000) / 10
+        });
+      }
+    });
+    videos[index] = findSceneVideo(videoDir, name, manimFormat, sceneLog);
+    fractions[index] = 1;
+    results[index].status = 'done';
+    if (multiScene) logFn(`${label}: done`);
+  };
+
+  const worker = async () => {
+    while (!failed && next < count) {
+      const index = next++;
+      try {
+        await renderScene(index);
+      } catch (err) {
+        failed = true;
+        results[index].status = isCancellation(err) ? 'cancelled' : 'failed';
+        results[index].error = err;
+        if (multiScene && !isCancellation(err)) logFn(`Scene ${index + 1}/${count} ${scenes[index]}: failed - ${err.message}`);
+      }
+    }
+  };
+  const workers = Math.max(1, Math.min(Number(concurrency) || 1, count));
+  if (multiScene) logFn(`Rendering ${count} scenes${workers > 1 ? `, ${workers} at a time` : ''}: ${scenes.join(', ')}`);
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  if (!failed) return videos;
+  throwIfCancelled(signal);
+  const failures = results.filter(result => result.status === 'failed');
+  if (!multiScene) throw failures[0].error;
+
+  for (const result of results) {
+    if (result.status === 'pending') result.status = 'skipped';
+  }
+  const summary = failures.map(result => `${result.name}: ${result.error.message}`).join('; ');
+  const err = new Error(`${failures.length} of ${count} scenes failed. ${summary}`);
+  // Keep a limit code when it explains the failure, and every traceback for the repair loop
+  err.code = failures[0].error.code;
+  err.isCodeError = failures.every(result => result.error.isCodeError);
+  err.details = failures.map(result => `--- ${result.name} ---\n${result.error.details || result.error.message}`).join('\n');
+  err.scenes = results.map(({ name, status, error }) => ({ name, status, error: error ? error.message : null }));
+  throw err;
+}
+
+// Join scene videos in order without re-encoding; every scene shares the same codec settings
+async function concatScenes(videos, outputPath, { workDir, logFn, signal }) {
+  const listPath = path.join(workDir, 'scenes.txt');
+  // The concat demuxer quotes paths with single quotes, escaped as '\''
+  fs.writeFileSync(listPath, videos.map(video => `file '${video.replace(/'/g, "'\\''")}'`).join('\n'));
+  logFn(`Joining ${videos.length} scenes`);
+  await runFfmpeg(['-y', '-f', 'concat', '-safe', '0', '-i', listPath, '-c', 'copy', outputPath], { logFn, signal });
+}
+
+/**
+ * Runs the Manim CLI inside the sandbox and waits for it to exit.
+ * @param {string} manimCmd - Manim executable
+ * @param {string[]} args - CLI arguments
+ * @param {object} options
+ * @param {object} options.sandbox - Result of createSandbox
+ * @param {AbortSignal} [options.signal] - Kills the process tree when aborted
+ * @param {function(string):void} options.logFn - Logging callback
+ * @param {function(object):void} options.onProgress - Receives structured progress events
+ * @param {number|null} [options.totalAnimations] - Estimated number of animations in the scene
+ * @returns {Promise<void>} - Rejects with a cancelled, limit (err.code) or render error; errors
+ *   raised by the script itself have `isCodeError` set
+ */
+function runManim(manimCmd, args, { sandbox, signal, logFn, onProgress, totalAnimations }) {
+  const { command, args: spawnArgs, options, isolated } = sandboxCommand(sandbox, manimCmd, args);
+  const { limits } = sandbox;
+  if (sandbox.enabled) {
+    logFn(`Sandbox: ${limits.memoryMb} MB memory, ${limits.cpuSecs}s CPU, ${limits.fileSizeMb} MB files, ${isolated ? 'no network' : 'network allowed'}`);
+  }
 
-  // 4) Spawn the Manim CLI to render GeneratedScene
-  const args = ['-qk', '--disable_caching', scriptPath, 'GeneratedScene', '-o', outDir];
   return new Promise((resolve, reject) => {
     logFn('Starting Manim rendering...');
-    const proc = spawn(manimCmd, args);
+    // Detached so the whole process tree (manim, ffmpeg, latex) can be killed on cancel
+    const proc = spawn(command, spawnArgs, options);
+
+    let cancelled = false;
+    const onAbort = () => {
+      cancelled = true;
+      logFn('Cancelling Manim rendering...');
+      killProcessTree(proc);
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    // Hard wall-clock limit, applied with or without the sandbox
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      logFn(`Manim exceeded the ${limits.timeoutSecs}s time limit, stopping it`);
+      killProcessTree(proc);
+    }, limits.timeoutSecs * 1000);
 
     let stdoutData = '';
     let stderrData = '';
 
+    // Progress bars become structured events; the log only notes when a new animation starts
+    let currentAnimation = null;
+    const parseProgress = createProgressParser({
+      totalAnimations,
+      onProgress: progress => {
+        if (progress.animation !== currentAnimation) {
+          currentAnimation = progress.animation;
+          const of = progress.totalAnimations ? `/${progress.totalAnimations}` : '';
+          logFn(`[Manim Progress] Animation ${progress.animation}${of}: ${progress.name}`);
+        }
+        onProgress(progress);
+      }
+    });
+
     // Capture stdout and stderr
     proc.stdout.on('data', data => {
       const output = data.toString();
@@ -47,210 +317,94 @@ async function generateWithManim(code, runId, logFn = () => {}) {
       logFn(`[Manim] ${output.trim()}`);
     });
     
-    proc.stderr.on('data', data => {
-      const output = data.toString();
-      stderrData += output;
-      
-      // Distinguish between progress messages and actual errors
-      const outputTrimmed = output.trim();
-      const isProgress = outputTrimmed.includes('Animation') && 
-                        (outputTrimmed.includes('%|') || outputTrimmed.includes('it/s'));
-      const isActualError = (outputTrimmed.toLowerCase().includes('error') || 
+    // Progress bars are reported through onProgress; distinguish the rest between errors and other output
+    const logStderr = text => {
+      const outputTrimmed = text.trim();
+      if (!outputTrimmed) return;
+      const isActualError = outputTrimmed.toLowerCase().includes('error') || 
                            outputTrimmed.toLowerCase().includes('traceback') ||
-                           outputTrimmed.toLowerCase().includes('exception')) && !isProgress;
+                           outputTrimmed.toLowerCase().includes('exception');
       
-      if (isProgress) {
-        logFn(`[Manim Progress] ${outputTrimmed}`);
-      } else if (isActualError) {
+      if (isActualError) {
         logFn(`[Manim Error] ${outputTrimmed}`);
       } else {
         // General stderr output (warnings, info, etc.)
         logFn(`[Manim] ${outputTrimmed}`);
       }
+    };
+
+    proc.stderr.on('data', data => {
+      const output = data.toString();
+      stderrData += output;
+      logStderr(parseProgress(output));
     });
     
     proc.on('error', err => {
+      clearTimeout(timer);
       logFn(`Process error: ${err.message}`);
       reject(new Error(`Failed to start Manim: ${err.message}`));
     });
 
-    proc.on('close', code => {
-      if (code === 0) {
+    proc.on('close', (code, exitSignal) => {
+      clearTimeout(timer);
+      logStderr(parseProgress.flush());
+      if (signal) signal.removeEventListener('abort', onAbort);
+
+      if (cancelled) {
+        reject(createCancelledError());
+        return;
+      }
+
+      if (code === 0 && !timedOut) {
         logFn('Manim rendering completed successfully');
-        // Manim creates videos in nested quality folders like 2160p60/, 1080p60/, etc.
-        // We need to find the actual video file and move it to the expected location
-        try {
-          const finalVideoPath = path.join(MEDIA_DIR, `${runId}.mp4`);
-          
-          // First, check if the video already exists (in case of previous successful run)
-          if (fs.existsSync(finalVideoPath)) {
-            logFn(`Video already exists at: ${finalVideoPath}`);
-            // Clean up the working directory
-            if (fs.existsSync(outDir)) {
-              fs.rmSync(outDir, { recursive: true, force: true });
-            }
-            resolve(finalVideoPath);
-            return;
-          }
-          
-          // Search for the generated video in the nested structure
-          const findManimVideo = (dir) => {
-            if (!fs.existsSync(dir)) return null;
-            
-            logFn(`Searching in directory: ${dir}`);
-            const items = fs.readdirSync(dir);
-            logFn(`Found items: ${items.join(', ')}`);
-            
-            for (const item of items) {
-              const itemPath = path.join(dir, item);
-              
-              // Skip if item doesn't exist (race condition protection)
-              if (!fs.existsSync(itemPath)) continue;
-              
-              const stat = fs.statSync(itemPath);
-              
-              if (stat.isFile() && item === 'GeneratedScene.mp4') {
-                logFn(`Found final video at: ${itemPath}`);
-                return itemPath;
-              } else if (stat.isDirectory()) {
-                const found = findManimVideo(itemPath);
-                if (found) return found;
-              }
-            }
-            return null;
-          };
-          
-          logFn(`Searching for GeneratedScene.mp4 in: ${outDir}`);
-          let manimVideoPath = findManimVideo(outDir);
-          
-          // If not found in nested structure, check common Manim output locations
-          if (!manimVideoPath) {
-            const commonLocations = [
-              path.join(outDir, 'GeneratedScene.mp4'),
-              path.join(outDir, '2160p60', 'GeneratedScene.mp4'),
-              path.join(outDir, '1080p60', 'GeneratedScene.mp4'),
-              path.join(outDir, '720p30', 'GeneratedScene.mp4'),
-              path.join(outDir, '480p15', 'GeneratedScene.mp4')
-            ];
-            
-            for (const location of commonLocations) {
-              if (fs.existsSync(location)) {
-                logFn(`Found video at common location: ${location}`);
-                manimVideoPath = location;
-                break;
-              }
-            }
-          }
-          
-          if (manimVideoPath && fs.existsSync(manimVideoPath)) {
-            // Move the video to the root media/videos directory with runId as filename
-            fs.copyFileSync(manimVideoPath, finalVideoPath);
-            
-            // Clean up the nested directory structure
-            fs.rmSync(outDir, { recursive: true, force: true });
-            
-            logFn(`Video successfully saved to ${finalVideoPath}`);
-            resolve(finalVideoPath);
-          } else {
-            // Check if we have partial files - this indicates an incomplete render
-            const checkForPartialFiles = (dir) => {
-              if (!fs.existsSync(dir)) return [];
-              
-              let partialFiles = [];
-              const items = fs.readdirSync(dir);
-              for (const item of items) {
-                const itemPath = path.join(dir, item);
-                if (!fs.existsSync(itemPath)) continue;
-                
-                const stat = fs.statSync(itemPath);
-                if (stat.isFile() && (item.includes('uncached_') || item.includes('partial'))) {
-                  partialFiles.push(itemPath);
-                } else if (stat.isDirectory()) {
-                  partialFiles.push(...checkForPartialFiles(itemPath));
-                }
-              }
-              return partialFiles;
-            };
-            
-            const partialFiles = checkForPartialFiles(outDir);
-            
-            if (partialFiles.length > 0) {
-              logFn(`Found ${partialFiles.length} partial files, but no final GeneratedScene.mp4`);
-              logFn('This indicates Manim failed during the final assembly phase');
-              
-              // Check one more time if the video exists in the root directory
-              // (sometimes Manim creates it directly there)
-              const rootVideoPath = path.join(MEDIA_DIR, 'GeneratedScene.mp4');
-              if (fs.existsSync(rootVideoPath)) {
-                logFn(`Found video in root directory: ${rootVideoPath}`);
-                fs.copyFileSync(rootVideoPath, finalVideoPath);
-                fs.unlinkSync(rootVideoPath); // Remove the temp file
-                
-                // Clean up partial files
-                fs.rmSync(outDir, { recursive: true, force: true });
-                
-                logFn(`Video successfully saved to ${finalVideoPath}`);
-                resolve(finalVideoPath);
-                return;
-              }
-              
-              // Clean up partial files
-              fs.rmSync(outDir, { recursive: true, force: true });
-              
-              reject(new Error('Manim rendering incomplete: Final video assembly failed. This may be due to complex animations or system resource constraints. Try simplifying the prompt.'));
-            } else {
-              logFn('No video files found in output directory');
-              try {
-                logFn(`Directory contents: ${fs.readdirSync(outDir).join(', ')}`);
-              } catch (e) {
-                logFn('Could not read directory contents');
-              }
-              
-              reject(new Error(`Could not find GeneratedScene.mp4 in ${outDir}. Manim may have failed silently.`));
-            }
-          }
-        } catch (err) {
-          logFn(`Error processing video: ${err.message}`);
-          reject(new Error(`Error processing Manim output: ${err.message}`));
-        }
-      } else {
-        // Parse stderr for user-friendly error messages
-        let errorMessage = 'Manim rendering failed';
-        
-        // Enhanced error parsing
-        if (stderrData.includes('TypeError')) {
-          if (stderrData.includes('use_quadratic_bezier')) {
-            errorMessage = 'Code uses deprecated Manim API. Please try regenerating with a simpler prompt.';
-          } else if (stderrData.includes('unexpected keyword argument')) {
-            errorMessage = 'Generated code uses incorrect method parameters. Try regenerating with a different approach.';
-          } else {
-            errorMessage = 'TypeError in generated code. The AI may have used incorrect method parameters.';
-          }
-        } else if (stderrData.includes('AttributeError')) {
-          errorMessage = 'AttributeError in generated code. The AI may have used non-existent methods.';
-        } else if (stderrData.includes('ImportError') || stderrData.includes('ModuleNotFoundError')) {
-          errorMessage = 'Missing required Python packages for Manim rendering.';
-        } else if (stderrData.includes('SyntaxError')) {
-          errorMessage = 'Syntax error in generated Python code.';
-        } else if (stderrData.includes('NameError')) {
-          errorMessage = 'Variable or function name error in generated code.';
-        } else if (stderrData.includes('MemoryError') || stderrData.includes('OutOfMemoryError')) {
-          errorMessage = 'Insufficient memory for rendering. Try reducing animation complexity or duration.';
-        } else if (stderrData.includes('FFmpeg')) {
-          errorMessage = 'Video encoding failed. There may be an issue with the animation timeline or FFmpeg.';
-        }
-        
-        logFn(`Rendering failed with exit code ${code}: ${errorMessage}`);
-        logFn('Full error output:');
-        logFn(stderrData);
-        
-        // Clean up any partial files
-        if (fs.existsSync(outDir)) {
-          fs.rmSync(outDir, { recursive: true, force: true });
+        resolve();
+        return;
+      }
+
+      // Resource limits get their own error types so users know what to change
+      const exceeded = limitError({ timedOut, signal: exitSignal, stderr: stderrData }, sandbox);
+      if (exceeded) {
+        logFn(`[${exceeded.code}] ${exceeded.message}`);
+        reject(exceeded);
+        return;
+      }
+
+      // Parse stderr for user-friendly error messages
+      let errorMessage = 'Manim rendering failed';
+      
+      // Enhanced error parsing
+      if (stderrData.includes('TypeError')) {
+        if (stderrData.includes('use_quadratic_bezier')) {
+          errorMessage = 'Code uses deprecated Manim API. Please try regenerating with a simpler prompt.';
+        } else if (stderrData.includes('unexpected keyword argument')) {
+          errorMessage = 'Generated code uses incorrect method parameters. Try regenerating with a different approach.';
+        } else {
+          errorMessage = 'TypeError in generated code. The AI may have used incorrect method parameters.';
         }
-        
-        reject(new Error(errorMessage));
+      } else if (stderrData.includes('AttributeError')) {
+        errorMessage = 'AttributeError in generated code. The AI may have used non-existent methods.';
+      } else if (stderrData.includes('ImportError') || stderrData.includes('ModuleNotFoundError')) {
+        errorMessage = 'Missing required Python packages for Manim rendering.';
+      } else if (stderrData.includes('SyntaxError')) {
+        errorMessage = 'Syntax error in generated Python code.';
+      } else if (stderrData.includes('NameError')) {
+        errorMessage = 'Variable or function name error in generated code.';
+      } else if (stderrData.includes('MemoryError') || stderrData.includes('OutOfMemoryError')) {
+        errorMessage = 'Insufficient memory for rendering. Try reducing animation complexity or duration.';
+      } else if (stderrData.includes('FFmpeg')) {
+        errorMessage = 'Video encoding failed. There may be an issue with the animation timeline or FFmpeg.';
       }
+      
+      logFn(`Rendering failed with exit code ${code}: ${errorMessage}`);
+      logFn('Full error output:');
+      logFn(stderrData);
+      
+      // Keep the raw traceback so the repair loop can send it back to the LLM. Only a traceback
+      // counts as a fault in the script; missing packages and memory are the machine's problem.
+      const renderError = new Error(errorMessage);
+      renderError.details = stderrData;
+      renderError.isCodeError = stderrData.includes('Traceback') && !/\b(ImportError|ModuleNotFoundError|MemoryError)\b/.test(stderrData);
+      reject(renderError);
     });
   });
 }
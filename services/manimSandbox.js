@@ -0,0 +1,183 @@
+/**
+ * Sandboxed execution for the Manim child process.
+ * Generated Python runs with a scrubbed environment in a private temp directory,
+ * under rlimits on memory, CPU time and file size, inside its own network
+ * namespace where `unshare` allows it, and with a hard wall-clock timeout.
+ *
+ * Configuration (environment):
+ *   MANIM_SANDBOX=off          run Manim unsandboxed (the timeout still applies)
+ *   MANIM_MEMORY_LIMIT_MB      address-space limit, default 8192
+ *   MANIM_CPU_LIMIT_SECS       CPU-time limit, default 900
+ *   MANIM_FILE_SIZE_LIMIT_MB   largest file Manim may write, default 2048
+ *   MANIM_TIMEOUT_SECS         wall-clock limit, default 1200
+ *   MANIM_SANDBOX_NETWORK=off  keep network access
+ *   MANIM_SANDBOX_ENV          extra comma-separated variables to pass through
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return value > 0 ? value : fallback;
+}
+
+const SANDBOX_ENABLED = process.env.MANIM_SANDBOX !== 'off';
+const LIMITS = {
+  memoryMb: numberFromEnv('MANIM_MEMORY_LIMIT_MB', 8192),
+  cpuSecs: numberFromEnv('MANIM_CPU_LIMIT_SECS', 900),
+  fileSizeMb: numberFromEnv('MANIM_FILE_SIZE_LIMIT_MB', 2048),
+  timeoutSecs: numberFromEnv('MANIM_TIMEOUT_SECS', 1200)
+};
+
+// Variables Manim, Python and LaTeX need; API keys and everything else are dropped
+const PASSTHROUGH_ENV = [
+  'PATH', 'LANG', 'LC_ALL', 'LC_CTYPE', 'TZ',
+  'VIRTUAL_ENV', 'CONDA_PREFIX', 'PYENV_ROOT', 'PYENV_VERSION',
+  'TEXMFHOME', 'TEXMFVAR', 'TEXMFCONFIG',
+  'SYSTEMROOT', 'WINDIR', 'PATHEXT', 'COMSPEC'
+];
+
+// Distinct failure types surfaced in job logs
+const LIMIT_ERRORS = {
+  TIMEOUT: limits => `Time limit exceeded: the render ran longer than ${limits.timeoutSecs}s. Try a shorter or simpler scene.`,
+  MEMORY_LIMIT: limits => `Memory limit exceeded: the render needed more than ${limits.memoryMb} MB. Try a lower quality or fewer objects.`,
+  CPU_LIMIT: limits => `CPU limit exceeded: the render used more than ${limits.cpuSecs}s of CPU time. Try a lower quality or a shorter scene.`,
+  FILE_SIZE_LIMIT: limits => `File size limit exceeded: the render tried to write a file larger than ${limits.fileSizeMb} MB. Try a lower quality or a shorter scene.`
+};
+
+let networkIsolation;
+
+// Probe once whether unprivileged network namespaces work on this machine
+function canIsolateNetwork() {
+  if (networkIsolation !== undefined) return networkIsolation;
+  networkIsolation = false;
+  if (process.platform !== 'linux' || process.env.MANIM_SANDBOX_NETWORK === 'off') return false;
+  try {
+    const probe = spawnSync('unshare', ['--net', '--map-root-user', 'true'], { timeout: 5000 });
+    networkIsolation = probe.status === 0;
+  } catch {
+    // unshare not installed
+  }
+  return networkIsolation;
+}
+
+function scrubbedEnv(workDir) {
+  const keep = [...PASSTHROUGH_ENV, ...(process.env.MANIM_SANDBOX_ENV || '').split(',').map(s => s.trim()).filter(Boolean)];
+  const env = {};
+  for (const name of keep) {
+    if (process.env[name] !== undefined) env[name] = process.env[name];
+  }
+  // pyenv shims look for ~/.pyenv, which moves with HOME
+  if (!env.PYENV_ROOT && process.env.HOME) {
+    const pyenvRoot = path.join(process.env.HOME, '.pyenv');
+    if (fs.existsSync(pyenvRoot)) env.PYENV_ROOT = pyenvRoot;
+  }
+  const tmpDir = path.join(workDir, 'tmp');
+  fs.mkdirSync(tmpDir, { recursive: true });
+  return {
+    ...env,
+    HOME: workDir,
+    USERPROFILE: workDir,
+    TMPDIR: tmpDir,
+    TEMP: tmpDir,
+    TMP: tmpDir,
+    PYTHONDONTWRITEBYTECODE: '1',
+    PYTHONNOUSERSITE: '1'
+  };
+}
+
+/**
+ * Creates the private working directory for one render.
+ * @param {string} runId - Unique identifier for the render job
+ * @returns {{enabled: boolean, workDir: string, limits: object, cleanup: function(): void}}
+ */
+function createSandbox(runId) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `flux-manim-${runId}-`));
+  return {
+    enabled: SANDBOX_ENABLED,
+    workDir,
+    limits: LIMITS,
+    cleanup: () => fs.rmSync(workDir, { recursive: true, force: true })
+  };
+}
+
+/**
+ * Builds the command line and spawn options for running a command inside the sandbox.
+ * rlimits are applied by a POSIX shell wrapper (`ulimit`), which then execs the command.
+ * @param {object} sandbox - Result of createSandbox
+ * @param {string} command - Executable to run
+ * @param {string[]} args - Its arguments
+ * @returns {{command: string, args: string[], options: object, isolated: boolean}}
+ */
+function sandboxCommand(sandbox, command, args) {
+  const options = { cwd: sandbox.workDir, detached: process.platform !== 'win32' };
+  if (!sandbox.enabled) {
+    return { command, args, options, isolated: false };
+  }
+
+  options.env = scrubbedEnv(sandbox.workDir);
+  // Windows has no rlimits; the scrubbed environment, private cwd and timeout still apply
+  if (process.platform === 'win32') {
+    return { command, args, options, isolated: false };
+  }
+
+  const { memoryMb, cpuSecs, fileSizeMb } = sandbox.limits;
+  // A limit can only be lowered, so each value is capped at the hard limit the process inherited.
+  // POSIX ulimit -f counts 512-byte blocks; -v is in KiB and unsupported on macOS
+  const script = [
+    'cap() { hard=$(ulimit -H "$1"); if [ "$hard" != unlimited ] && [ "$hard" -lt "$2" ]; then echo "$hard"; else echo "$2"; fi; }',
+    [
+      ...(process.platform === 'darwin' ? [] : [`ulimit -v "$(cap -v ${memoryMb * 1024})"`]),
+      // SIGXCPU at the soft limit tells us why the render died; the hard limit is the backstop
+      `ulimit -S -t "$(cap -t ${cpuSecs})"`,
+      `ulimit -H -t "$(cap -t ${cpuSecs + 10})"`,
+      `ulimit -f "$(cap -f ${fileSizeMb * 2048})"`,
+      'exec "$@"'
+    ].join(' && ')
+  ].join('\n');
+  const wrapped = ['-c', script, 'manim-sandbox', command, ...args];
+
+  if (canIsolateNetwork()) {
+    return {
+      command: 'unshare',
+      args: ['--net', '--map-root-user', '/bin/sh', ...wrapped],
+      options,
+      isolated: true
+    };
+  }
+  return { command: '/bin/sh', args: wrapped, options, isolated: false };
+}
+
+/**
+ * Works out whether a failed render hit one of the sandbox limits.
+ * @param {object} result
+ * @param {boolean} result.timedOut - The wall-clock timer fired
+ * @param {string|null} result.signal - Signal that ended the process
+ * @param {string} result.stderr - Captured error output
+ * @param {object} sandbox - Result of createSandbox; rlimits only count when it was enabled
+ * @returns {Error|null} - Error with a `code` naming the limit, or null for ordinary failures
+ */
+function limitError({ timedOut, signal, stderr }, { enabled, limits }) {
+  let code = null;
+  if (timedOut) {
+    code = 'TIMEOUT';
+  } else if (!enabled) {
+    return null;
+  } else if (signal === 'SIGXCPU') {
+    code = 'CPU_LIMIT';
+  } else if (signal === 'SIGXFSZ' || /File too large|\[Errno 27\]/.test(stderr)) {
+    code = 'FILE_SIZE_LIMIT';
+  } else if (/MemoryError|Unable to allocate|Cannot allocate memory|std::bad_alloc|out of memory/i.test(stderr)) {
+    code = 'MEMORY_LIMIT';
+  }
+  if (!code) return null;
+
+  const err = new Error(LIMIT_ERRORS[code](limits));
+  err.code = code;
+  err.details = stderr;
+  return err;
+}
+
+module.exports = { createSandbox, sandboxCommand, limitError, LIMITS };
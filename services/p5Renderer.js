@@ -1,24 +1,164 @@
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
 const puppeteer = require('puppeteer-core');
 const detectChrome = require('../utils/detectChrome');
-const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
-const { spawn } = require('child_process');
 const { app } = require('electron');
+const { throwIfCancelled, createCancelledError } = require('./cancellation');
+const { virtualClockScript, stopP5Loop, captureStep } = require('./p5VirtualClock');
+const { resolveP5Runtime } = require('../utils/p5Runtime');
+const { spawnFfmpeg } = require('../utils/ffmpeg');
+const { resolveOutputFormat, encoderArgs, outputPathFor, ffmpegTarget } = require('../utils/outputFormats');
+const { resolveRenderSettings, fitFilters } = require('../utils/renderSettings');
 
 // Directories for scripts and generated media
 const SCRIPTS_DIR = path.join(app.getPath('userData'), 'scripts');
 const MEDIA_DIR   = path.join(app.getPath('userData'), 'media', 'videos');
 
+// Watchdog budgets in milliseconds; each stage fails on its own and the total caps the whole render
+const STAGE_TIMEOUTS = {
+  launch: Number(process.env.P5_LAUNCH_TIMEOUT_MS) || 30000,
+  pageLoad: Number(process.env.P5_PAGE_LOAD_TIMEOUT_MS) || 15000,
+  firstFrame: Number(process.env.P5_FIRST_FRAME_TIMEOUT_MS) || 20000,
+  frame: Number(process.env.P5_FRAME_TIMEOUT_MS) || 5000,
+  shutdown: 10000,
+  encode: Number(process.env.P5_ENCODE_TIMEOUT_MS) || 120000
+};
+const TOTAL_TIMEOUT_MS = Number(process.env.P5_RENDER_TIMEOUT_MS) || 300000;
+
+const STAGE_LABELS = {
+  launch: 'browser launch',
+  pageLoad: 'page load',
+  firstFrame: 'first frame (setup)',
+  frame: 'frame capture',
+  shutdown: 'browser shutdown',
+  encode: 'encoding'
+};
+
+// Error naming the stage that stalled
+function stageTimeoutError(stage, ms, { total = false, frame, totalFrames } = {}) {
+  const where = stage === 'frame' && frame ? `${STAGE_LABELS[stage]} (frame ${frame}/${totalFrames})` : STAGE_LABELS[stage];
+  const message = total
+    ? `p5 render exceeded the ${Math.round(ms / 1000)}s total time limit during ${where}`
+    : `p5 render stalled during ${where}: no progress after ${Math.round(ms / 1000)}s`;
+  const hint = ['firstFrame', 'frame'].includes(stage)
+    ? '. The sketch may be stuck in a long or infinite loop in setup() or draw().'
+    : '';
+  const err = new Error(message + hint);
+  err.code = 'P5_TIMEOUT';
+  err.stage = stage;
+  return err;
+}
+
+// Name the inline sketch gets in stack traces, so errors point at sketch lines rather than HTML lines
+const SKETCH_SOURCE_URL = 'sketch.js';
+const SKETCH_LOCATION = /sketch\.js:(\d+):(\d+)/;
+// Stop forwarding console output after this many messages so a chatty draw() cannot flood the job log
+const MAX_CONSOLE_MESSAGES = 200;
+
 /**
- * Renders a p5.js sketch to a video file.
+ * Builds a render error from an exception thrown by the sketch, pointing at the failing line.
+ * Like Manim failures, the message is short and `details` holds the full trace for the repair loop.
+ * @param {{name: string, message: string, stack: string}} exception - Error reported by the page
+ * @param {string} code - The sketch source
+ * @returns {Error}
+ */
+function sketchError(exception, code) {
+  const name = exception.name && exception.name !== 'Error' ? exception.name : 'Error';
+  const headline = `${name}: ${String(exception.message).split('\n')[0]}`;
+  // Rebuild the trace from its frames; the stack's own first line may carry a generic name
+  const frames = String(exception.stack || '').split('\n').filter(l => /^\s+at /.test(l));
+  let details = [headline, ...frames].join('\n');
+
+  let line = null;
+  const location = details.match(SKETCH_LOCATION);
+  if (location) {
+    line = Number(location[1]);
+    const column = Number(location[2]);
+    const sourceLine = code.split('\n')[line - 1];
+    if (sourceLine !== undefined) {
+      details += `\n\nSketch line ${line}:\n    ${sourceLine}\n    ${' '.repeat(Math.max(0, column - 1))}^`;
+    }
+  }
+
+  const err = new Error(`p5 sketch error${line ? ` at line ${line}` : ''}: ${headline}`);
+  err.details = details;
+  err.sketchLine = line;
+  err.isSketchError = true;
+  err.isCodeError = true;
+  return err;
+}
+
+// Page function for realtime capture: runs draw() once, returning exceptions the same way captureStep does
+function drawOnce() {
+  try {
+    draw();
+  } catch (err) {
+    return { error: { name: err.name, message: err.message, stack: String(err.stack) } };
+  }
+  return null;
+}
+
+// Write one encoded frame to ffmpeg, waiting until it has been flushed
+function writeFrame(stdin, buffer) {
+  return new Promise((resolve, reject) => {
+    stdin.write(buffer, err => err ? reject(err) : resolve());
+  });
+}
+
+// Read the sketch canvas as PNG bytes
+async function captureCanvas(page) {
+  const dataUrl = await page.evaluate(() => document.querySelector('canvas').toDataURL('image/png'));
+  return Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64');
+}
+
+/**
+ * Renders a p5.js sketch to a video file (or PNG sequence).
  * @param {string} code  - The JavaScript p5.js code (sketch.js content)
  * @param {string} runId - Unique identifier for this render job
  * @param {function(string):void} [logFn] - Optional logging callback
  * @param {number} [durationSecs=4] - Duration of the video in seconds
- * @returns {Promise<string>} - Resolves to the path of the generated MP4
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Closes the browser and stops ffmpeg when aborted
+ * @param {string} [options.timing='virtual'] - 'virtual' drives p5 from a deterministic clock
+ *   advanced 1/fps per frame; 'realtime' lets p5's own loop run against the wall clock
+ * @param {string} [options.frameOutput='stream'] - 'stream' pipes canvas frames into ffmpeg;
+ *   'png' writes full-page screenshots to disk first (useful for debugging)
+ * @param {string} [options.p5Version] - Locally available p5.js version (see utils/p5Runtime)
+ * @param {string} [options.format='mp4'] - Output format (see utils/outputFormats)
+ * @param {boolean} [options.transparent=false] - Keep the canvas alpha channel
+ * @param {string} [options.quality] - Quality preset; sets resolution and fps (see utils/renderSettings)
+ * @param {string|object} [options.resolution] - Output size; the canvas is scaled and letterboxed to fit
+ * @param {number} [options.fps=30] - Capture and output frame rate
+ * @returns {Promise<string>} - Resolves to the path of the generated file or PNG directory
  */
-async function generateWithP5(code, runId, logFn = () => {}, durationSecs = 4) {
+async function generateWithP5(code, runId, logFn = () => {}, durationSecs = 4, {
+  signal,
+  timing = 'virtual',
+  frameOutput = process.env.P5_FRAME_OUTPUT || 'stream',
+  p5Version,
+  format = 'mp4',
+  transparent = false,
+  quality,
+  resolution,
+  fps
+} = {}) {
+  if (timing !== 'virtual' && timing !== 'realtime') {
+    throw new Error(`Invalid p5 timing mode: ${timing}`);
+  }
+  if (frameOutput !== 'stream' && frameOutput !== 'png') {
+    throw new Error(`Invalid p5 frame output: ${frameOutput}`);
+  }
+  const useVirtualTime = timing === 'virtual';
+  const streamFrames = frameOutput === 'stream';
+  const output = resolveOutputFormat(format, transparent);
+  // Without a preset or explicit size the video keeps the canvas size
+  const settings = resolveRenderSettings({ quality, resolution, fps }, { fps: 30 });
+  const frameRateValue = settings.fps;
+  const sizeFilters = settings.width ? fitFilters(settings, output.transparent) : [];
+  // Load p5 from a local copy so rendering works offline
+  const p5Path = resolveP5Runtime(p5Version);
+
   // 1) Ensure output directories exist
   if(!fs.existsSync(SCRIPTS_DIR)) fs.mkdirSync(SCRIPTS_DIR, { recursive: true });
   if(!fs.existsSync(MEDIA_DIR)) fs.mkdirSync(MEDIA_DIR, { recursive: true });
@@ -33,11 +173,12 @@ async function generateWithP5(code, runId, logFn = () => {}, durationSecs = 4) {
 <!DOCTYPE html>
 <html>
   <head>
-    <script src="https://cdn.jsdelivr.net/npm/p5@1.6.0/lib/p5.min.js"></script>
+    ${useVirtualTime ? `<script>${virtualClockScript(frameRateValue)}</script>` : ''}
+    <script src="${pathToFileURL(p5Path).href}"></script>
   </head>
   <body>
-    <script>
-      ${code}
+    <script>${code}
+//# sourceURL=${SKETCH_SOURCE_URL}
     </script>
   </body>
 </html>
@@ -55,51 +196,181 @@ async function generateWithP5(code, runId, logFn = () => {}, durationSecs = 4) {
     throw err;
   }
 
-  // 4) Launch browser & load
-  const browser = await puppeteer.launch({ executablePath: chromePath, headless: true });
-  const page = await browser.newPage();
-  await page.goto(`file://${htmlPath}`, { waitUntil: 'networkidle0' });
-  await page.waitForFunction('typeof frameCount === "number"');
-
-  // 5) Capture frames
-  const framesDir = path.join(outDir, 'frames');
-  fs.mkdirSync(framesDir, { recursive: true });
-  // Determine total frames based on duration (seconds) and frame rate
-  const frameRateValue = 30;
-  const totalFrames = durationSecs * frameRateValue;
-  for (let i = 0; i < totalFrames; i++) {
-    const imgPath = path.join(framesDir, `${String(i).padStart(4, '0')}.png`);
-    await page.screenshot({ path: imgPath });
-    await page.evaluate('draw()');
-    logFn(`Captured frame ${i + 1}/${totalFrames}`);
-  }
-  await browser.close();
-
-  // 6) Encode with FFmpeg
-  const framesPattern = path.join(framesDir, '%04d.png');
-  const tempOutputPath = path.join(outDir, 'animation.mp4');
-  const finalOutputPath = path.join(MEDIA_DIR, `${runId}.mp4`);
-  
-  const ffArgs = [
-    '-y', '-framerate', '30',
-    '-i', framesPattern,
-    '-c:v', 'libx264', '-pix_fmt', 'yuv420p',
-    tempOutputPath
-  ];
-  await new Promise((resolve, reject) => {
-    const ffProc = spawn(ffmpegPath, ffArgs);
-    ffProc.stderr.on('data', d => logFn(`ffmpeg: ${d}`));
-    ffProc.on('close', code => code === 0 ? resolve() : reject(new Error('ffmpeg error')));
-  });
-  logFn('Video encoding complete');
+  throwIfCancelled(signal);
+
+  // Tearing down kills the browser and ffmpeg outright, which makes any awaited step reject.
+  // A sketch stuck in a loop blocks the page, so a polite browser.close() alone is not enough.
+  let browser;
+  let ffProc;
+  const teardown = () => {
+    if (ffProc) ffProc.kill('SIGKILL');
+    if (browser) {
+      const browserProc = browser.process();
+      browser.close().catch(() => {});
+      if (browserProc) browserProc.kill('SIGKILL');
+    }
+  };
+  const onAbort = () => {
+    logFn('Cancelling p5 rendering...');
+    teardown();
+  };
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
 
-  // 7) Move video to final location and cleanup temporary directory
-  fs.copyFileSync(tempOutputPath, finalOutputPath);
-  fs.rmSync(outDir, { recursive: true, force: true });
-  logFn(`Video saved to ${finalOutputPath}`);
+  // Watchdog: every awaited step runs as a stage with its own budget, raced against the total budget
+  const totalFrames = Math.round(durationSecs * frameRateValue);
+  let currentStage = 'launch';
+  let currentFrame = 0;
+  let rejectTotal;
+  const totalExpired = new Promise((resolve, reject) => { rejectTotal = reject; });
+  totalExpired.catch(() => {});
+  const totalTimer = setTimeout(() => {
+    rejectTotal(stageTimeoutError(currentStage, TOTAL_TIMEOUT_MS, { total: true, frame: currentFrame, totalFrames }));
+    teardown();
+  }, TOTAL_TIMEOUT_MS);
+  // An uncaught exception in the page (e.g. thrown by setup()) fails the render
+  let rejectPage;
+  const pageFailed = new Promise((resolve, reject) => { rejectPage = reject; });
+  pageFailed.catch(() => {});
+  const runStage = (stage, task) => {
+    currentStage = stage;
+    const ms = STAGE_TIMEOUTS[stage];
+    let timer;
+    const stalled = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(stageTimeoutError(stage, ms, { frame: currentFrame, totalFrames }));
+        teardown();
+      }, ms);
+    });
+    return Promise.race([task(), stalled, totalExpired, pageFailed]).finally(() => clearTimeout(timer));
+  };
+
+  try {
+    // 4) Launch browser & load
+    browser = await runStage('launch', () => puppeteer.launch({ executablePath: chromePath, headless: true }));
+    const page = await runStage('launch', () => browser.newPage());
 
-  // 8) Return final video path
-  return finalOutputPath;
+    // Forward the page's console and failed requests to the job log
+    let consoleMessages = 0;
+    page.on('console', msg => {
+      consoleMessages++;
+      if (consoleMessages <= MAX_CONSOLE_MESSAGES) {
+        logFn(`[p5 console.${msg.type()}] ${msg.text()}`);
+      } else if (consoleMessages === MAX_CONSOLE_MESSAGES + 1) {
+        logFn(`[p5 console] More than ${MAX_CONSOLE_MESSAGES} messages, ignoring the rest`);
+      }
+    });
+    page.on('requestfailed', request => {
+      const failure = request.failure();
+      logFn(`[p5 request failed] ${request.url()}${failure ? ` (${failure.errorText})` : ''}`);
+    });
+    page.on('pageerror', exception => rejectPage(sketchError(exception, code)));
+
+    await runStage('pageLoad', () => page.goto(pathToFileURL(htmlPath).href, { waitUntil: 'load', timeout: 0 }));
+    if (useVirtualTime) {
+      // rAF is frozen by the virtual clock, so poll on a timer and take over the loop after setup()
+      await runStage('firstFrame', async () => {
+        await page.waitForFunction('window.p5 && p5.instance && p5.instance._setupDone', { polling: 50, timeout: 0 });
+        await page.evaluate(stopP5Loop, frameRateValue);
+      });
+      logFn(`Capturing with virtual time at ${frameRateValue}fps`);
+    } else {
+      await runStage('firstFrame', () => page.waitForFunction('typeof frameCount === "number"', { timeout: 0 }));
+    }
+
+    // 5) Prepare the encoder. Streamed frames go straight into ffmpeg's stdin;
+    // the PNG fallback writes every frame to disk and encodes afterwards.
+    const tempOutputPath = output.sequence
+      ? path.join(outDir, 'sequence')
+      : path.join(outDir, `animation.${output.extension}`);
+    const finalOutputPath = outputPathFor(MEDIA_DIR, runId, output);
+    const framesDir = path.join(outDir, 'frames');
+    if (output.sequence) fs.mkdirSync(tempOutputPath, { recursive: true });
+    const encodeArgs = [
+      ...encoderArgs(output, sizeFilters),
+      ffmpegTarget(tempOutputPath, output)
+    ];
+    let encoder;
+    if (streamFrames) {
+      encoder = spawnFfmpeg([
+        '-y', '-f', 'image2pipe', '-c:v', 'png', '-framerate', String(frameRateValue),
+        '-i', '-',
+        ...encodeArgs
+      ], logFn);
+      ffProc = encoder.proc;
+      logFn('Streaming frames to ffmpeg');
+    } else {
+      fs.mkdirSync(framesDir, { recursive: true });
+    }
+
+    // 6) Capture frames (duration in seconds times frame rate); the first one also covers draw()'s first run
+    for (let i = 0; i < totalFrames; i++) {
+      throwIfCancelled(signal);
+      currentFrame = i + 1;
+      await runStage(i === 0 ? 'firstFrame' : 'frame', async () => {
+        // With virtual time, draw the frame at exactly i/fps seconds before capturing it
+        if (useVirtualTime) {
+          const step = await page.evaluate(captureStep);
+          if (step && step.error) throw sketchError(step.error, code);
+        }
+        if (streamFrames) {
+          await writeFrame(encoder.proc.stdin, await captureCanvas(page));
+        } else {
+          const imgPath = path.join(framesDir, `${String(i).padStart(4, '0')}.png`);
+          await page.screenshot({ path: imgPath, omitBackground: output.transparent });
+        }
+        if (!useVirtualTime) {
+          const step = await page.evaluate(drawOnce);
+          if (step && step.error) throw sketchError(step.error, code);
+        }
+      });
+      logFn(`Captured frame ${i + 1}/${totalFrames}`);
+    }
+    await runStage('shutdown', () => browser.close());
+    throwIfCancelled(signal);
+
+    // Encode with FFmpeg
+    if (streamFrames) {
+      encoder.proc.stdin.end();
+    } else {
+      encoder = spawnFfmpeg([
+        '-y', '-framerate', String(frameRateValue),
+        '-i', path.join(framesDir, '%04d.png'),
+        ...encodeArgs
+      ], logFn);
+      ffProc = encoder.proc;
+    }
+    await runStage('encode', () => encoder.done);
+    logFn(`Video encoding complete (${output.name}${output.transparent ? ', transparent' : ''})`);
+
+    // 7) Move output to final location and cleanup temporary directory
+    if (output.sequence) {
+      fs.rmSync(finalOutputPath, { recursive: true, force: true });
+      fs.renameSync(tempOutputPath, finalOutputPath);
+    } else {
+      fs.copyFileSync(tempOutputPath, finalOutputPath);
+    }
+    fs.rmSync(outDir, { recursive: true, force: true });
+    logFn(`Video saved to ${finalOutputPath}`);
+
+    // 8) Return final video path
+    return finalOutputPath;
+  } catch (err) {
+    // Remove the partial frames and encode left by the failed or interrupted render
+    fs.rmSync(outDir, { recursive: true, force: true });
+    if (signal && signal.aborted) throw createCancelledError();
+    if (err.code === 'P5_TIMEOUT') logFn(err.message);
+    if (err.isSketchError) {
+      logFn(`Rendering failed: ${err.message}`);
+      logFn('Full error output:');
+      logFn(err.details);
+    }
+    throw err;
+  } finally {
+    clearTimeout(totalTimer);
+    // Never leave a browser or a streaming encoder (waiting on stdin) behind
+    teardown();
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
 }
 
 module.exports = { generateWithP5 }; 
\ No newline at end of file
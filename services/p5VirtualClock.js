@@ -0,0 +1,99 @@
+/**
+ * Virtual clock injected into the p5 page before p5.js loads.
+ * performance.now, Date/Date.now and requestAnimationFrame are all driven by
+ * window.__virtualClock.advance(), so every captured frame is exactly 1/fps apart
+ * regardless of how fast the machine renders.
+ */
+
+// Fixed epoch so Date-based sketches render identically on every run
+const VIRTUAL_EPOCH_MS = Date.UTC(2024, 0, 1);
+
+/**
+ * Builds the inline script that installs the virtual clock.
+ * @param {number} fps - Capture frame rate
+ * @returns {string} - JavaScript source for a <script> tag
+ */
+function virtualClockScript(fps) {
+  return `
+(function () {
+  var EPOCH = ${VIRTUAL_EPOCH_MS};
+  var frameMs = 1000 / ${fps};
+  var now = 0;
+  var nextId = 1;
+  var callbacks = new Map();
+  var RealDate = Date;
+
+  performance.now = function () { return now; };
+
+  function VirtualDate() {
+    if (!(this instanceof VirtualDate)) return new RealDate(EPOCH + now).toString();
+    var args = Array.prototype.slice.call(arguments);
+    if (args.length === 0) return new RealDate(EPOCH + now);
+    return new (Function.prototype.bind.apply(RealDate, [null].concat(args)))();
+  }
+  VirtualDate.prototype = RealDate.prototype;
+  VirtualDate.now = function () { return Math.floor(EPOCH + now); };
+  VirtualDate.parse = RealDate.parse;
+  VirtualDate.UTC = RealDate.UTC;
+  window.Date = VirtualDate;
+
+  window.requestAnimationFrame = function (cb) {
+    var id = nextId++;
+    callbacks.set(id, cb);
+    return id;
+  };
+  window.cancelAnimationFrame = function (id) { callbacks.delete(id); };
+
+  window.__virtualClock = {
+    frameMs: frameMs,
+    now: function () { return now; },
+    // Move time forward one frame and run any animation-frame callbacks queued by the sketch
+    advance: function () {
+      now += frameMs;
+      var pending = Array.from(callbacks.values());
+      callbacks.clear();
+      pending.forEach(function (cb) { cb(now); });
+    }
+  };
+})();
+`;
+}
+
+/**
+ * Page function that takes over p5's draw loop once setup() has run.
+ * Cancels p5's own animation frame so only captureStep() draws from now on.
+ * p5 has already drawn frame 1 at time 0 by itself if setup() called noLoop() (or set a
+ * frame rate above ~200fps); the first captureStep() then captures that frame as it is.
+ */
+function stopP5Loop(fps) {
+  const instance = window.p5.instance;
+  instance.noLoop();
+  cancelAnimationFrame(instance._requestAnimId);
+  instance._frameRate = fps;
+  window.__virtualClock.firstFrameDrawn = instance.frameCount > 0;
+}
+
+/**
+ * Page function that draws the frame at the current virtual time, then advances
+ * the clock by one frame for the next call.
+ * An exception thrown by draw() is returned as { error: { name, message, stack } }
+ * so its stack keeps the page's own 1-based sketch line numbers.
+ */
+function captureStep() {
+  const instance = window.p5.instance;
+  const clock = window.__virtualClock;
+  if (clock.firstFrameDrawn) {
+    clock.firstFrameDrawn = false;
+  } else {
+    instance._setProperty('deltaTime', clock.frameMs);
+    try {
+      instance.redraw();
+    } catch (err) {
+      return { error: { name: err.name, message: err.message, stack: String(err.stack) } };
+    }
+  }
+  clock.advance();
+  return null;
+}
+
+module.exports = { virtualClockScript, stopP5Loop, captureStep };
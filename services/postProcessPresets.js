@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const { parsePostProcess } = require('../utils/postProcess');
+
+/**
+ * Post-Processing Presets
+ * Named post-processing chains (e.g. a team's watermark and end card), kept in a JSON file so
+ * every request can refer to them by name, and resolution of a request's chain.
+ */
+
+const PRESETS_PATH = path.join(app.getPath('userData'), 'postprocess-presets.json');
+const NAME_PATTERN = /^[\w-]{1,64}$/;
+
+let presets = null;
+
+// Load the presets from disk on first use
+function load() {
+  if (presets) return presets;
+  presets = {};
+  try {
+    if (fs.existsSync(PRESETS_PATH)) {
+      presets = JSON.parse(fs.readFileSync(PRESETS_PATH, 'utf8'));
+    }
+  } catch (err) {
+    console.warn(`[Presets] Could not read ${PRESETS_PATH}, starting empty: ${err.message}`);
+    presets = {};
+  }
+  return presets;
+}
+
+// Write all presets atomically (temp file + rename)
+function persist() {
+  fs.mkdirSync(path.dirname(PRESETS_PATH), { recursive: true });
+  const tmpPath = `${PRESETS_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(presets, null, 2));
+  fs.renameSync(tmpPath, PRESETS_PATH);
+}
+
+function listPresets() {
+  return Object.values(load()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getPreset(name) {
+  // Own keys only, so names such as constructor or toString are not presets
+  return Object.hasOwn(load(), name) ? presets[name] : null;
+}
+
+/**
+ * Creates or replaces a preset.
+ * @param {string} name - Letters, digits, '-' and '_'
+ * @param {object[]} steps - Post-processing steps (see parsePostProcess)
+ * @param {string} [description]
+ * @returns {object} - The stored preset
+ */
+function savePreset(name, steps, description = '') {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new Error('Preset name must be 1-64 letters, digits, "-" or "_"');
+  }
+  if (name in Object.prototype) {
+    throw new Error(`Preset name is reserved: ${name}`);
+  }
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('A preset needs at least one post-processing step');
+  }
+  const now = new Date().toISOString();
+  const existing = getPreset(name);
+  const preset = {
+    name,
+    description: typeof description === 'string' ? description : '',
+    steps: parsePostProcess(steps),
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+  load()[name] = preset;
+  persist();
+  return preset;
+}
+
+function deletePreset(name) {
+  if (!getPreset(name)) return false;
+  delete presets[name];
+  persist();
+  return true;
+}
+
+/**
+ * Validates the post-processing chain of a request, expanding preset names.
+ * @param {string|Array<string|object>} [input] - A preset name, or steps and preset names in order
+ * @param {string} [format='mp4'] - Output format of the render
+ * @returns {object[]|null} - Result of parsePostProcess, or null when the request has none
+ */
+function resolvePostProcess(input, format = 'mp4') {
+  if (input === undefined || input === null) return null;
+  const entries = Array.isArray(input) ? input : [input];
+  const steps = entries.flatMap(entry => {
+    if (typeof entry !== 'string') return [entry];
+    const preset = getPreset(entry);
+    if (!preset) throw new Error(`Post-processing preset not found: ${entry}`);
+    return preset.steps;
+  });
+  return steps.length ? parsePostProcess(steps, format) : null;
+}
+
+module.exports = { listPresets, getPreset, savePreset, deletePreset, resolvePostProcess };
@@ -0,0 +1,107 @@
+// Shared render pipeline used by both the Express server and the Electron IPC handlers
+const { createTwoFilesPatch } = require('diff');
+const { generateWithP5 } = require('./p5Renderer');
+const { generateWithManim } = require('./manimRenderer');
+const { repairCode } = require('../utils/codegenService');
+const { isCancellation, throwIfCancelled } = require('./cancellation');
+const { enqueue } = require('./renderQueue');
+
+// Number of repair rounds after the first failed render (0 disables the loop)
+const DEFAULT_MAX_REPAIR_ATTEMPTS = Number(process.env.MAX_REPAIR_ATTEMPTS ?? 2);
+
+// Only the tail of a traceback is useful to the model; keep prompts small
+const MAX_ERROR_CHARS = 4000;
+
+// Dispatch a single render to the engine-specific renderer
+async function renderOnce(engine, code, runId, logFn, duration, options) {
+  if (engine === 'p5') {
+    return generateWithP5(code, runId, logFn, duration, options);
+  } else if (engine === 'manim') {
+    return generateWithManim(code, runId, logFn, options);
+  }
+  throw new Error(`Invalid engine: ${engine}`);
+}
+
+/**
+ * Renders code, feeding render failures back to the LLM for a corrected script.
+ * Only failures raised by the code itself (renderer errors with `isCodeError`) are repaired.
+ * @param {string} code - Initial generated code
+ * @param {object} options
+ * @param {string} options.engine - 'p5' or 'manim'
+ * @param {string} options.runId - Unique identifier for this render job
+ * @param {string} [options.apiKey] - Credential for the code generator
+ * @param {object} [options.llm] - Provider selection: { provider, model, baseUrl }
+ * @param {number} [options.duration] - p5 duration in seconds
+ * @param {object} [options.renderOptions] - Engine options passed through to the renderer
+ * @param {number} [options.maxRepairAttempts] - Repair rounds before giving up
+ * @param {number} [options.priority=0] - Queue priority, higher renders sooner
+ * @param {function(object):void} [options.onQueueUpdate] - Receives queue position/running updates
+ * @param {function(object):void} [options.onProgress] - Receives structured render progress (Manim)
+ * @param {function(string):void} [options.onCode] - Receives each repaired version of the code
+ * @param {AbortSignal} [options.signal] - Cancels the render and any pending repair
+ * @param {function(string):void} [options.logFn] - Logging callback
+ * @returns {Promise<{videoPath: string, code: string, attempts: number}>}
+ */
+async function renderWithRepair(code, {
+  engine,
+  runId,
+  apiKey,
+  llm = {},
+  duration,
+  renderOptions = {},
+  maxRepairAttempts = DEFAULT_MAX_REPAIR_ATTEMPTS,
+  priority = 0,
+  onQueueUpdate,
+  onProgress,
+  onCode = () => {},
+  signal,
+  logFn = () => {}
+}) {
+  const maxAttempts = Math.max(0, Number(maxRepairAttempts) || 0) + 1;
+  let currentCode = code;
+  // Repaired attempts keep the original place in the render queue
+  const enqueuedAt = Date.now();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const videoPath = await enqueue(
+        engine,
+        () => renderOnce(engine, currentCode, runId, logFn, duration, { ...renderOptions, signal, onProgress }),
+        { priority, enqueuedAt, signal, onUpdate: onQueueUpdate }
+      );
+      if (attempt > 1) logFn(`Render attempt ${attempt}/${maxAttempts} succeeded after repair`);
+      return { videoPath, code: currentCode, attempts: attempt };
+    } catch (err) {
+      if (isCancellation(err)) throw err;
+      throwIfCancelled(signal);
+      logFn(`Render attempt ${attempt}/${maxAttempts} failed: ${err.message}`);
+      if (attempt >= maxAttempts) throw err;
+      // Missing executables, launch failures, timeouts and resource limits are not fixed by new code
+      if (!err.isCodeError) {
+        logFn('The failure is not caused by the code, skipping repair');
+        throw err;
+      }
+
+      // Ask the generator for a corrected script using the captured error output
+      const errorOutput = (err.details || err.message).slice(-MAX_ERROR_CHARS);
+      logFn(`Requesting repaired code (attempt ${attempt + 1}/${maxAttempts})...`);
+      let repaired;
+      try {
+        repaired = await repairCode(currentCode, errorOutput, engine, apiKey, llm, { signal });
+      } catch (repairErr) {
+        if (isCancellation(repairErr)) throw repairErr;
+        logFn(`Code repair failed: ${repairErr.message}`);
+        throw err;
+      }
+
+      const patch = createTwoFilesPatch(
+        `attempt-${attempt}`, `attempt-${attempt + 1}`, currentCode, repaired, '', '', { context: 2 }
+      );
+      logFn(`Repair diff:\n${patch}`);
+      currentCode = repaired;
+      onCode(repaired);
+    }
+  }
+}
+
+module.exports = { renderWithRepair };
@@ -0,0 +1,178 @@
+const { createCancelledError } = require('./cancellation');
+
+/**
+ * Render Queue Service
+ * Limits how many renders of each engine run at once. Waiting renders are ordered by
+ * priority (higher first), then by arrival time, and are told their position and
+ * estimated wait whenever it changes.
+ */
+
+const ENGINES = ['p5', 'manim'];
+
+// Unset, zero or non-numeric limits fall back to one render at a time
+const parseConcurrency = value => Math.max(1, parseInt(value, 10) || 1);
+
+const concurrency = {
+  p5: parseConcurrency(process.env.P5_CONCURRENCY),
+  manim: parseConcurrency(process.env.MANIM_CONCURRENCY)
+};
+
+// Rolling average render time per engine, seeded with rough typical values
+const averageDurationMs = {
+  p5: 30 * 1000,
+  manim: 90 * 1000
+};
+const AVERAGE_WEIGHT = 0.3;
+
+const queues = {};
+// Paused engines keep accepting work but start nothing new; running renders finish normally
+const paused = new Set();
+let sequence = 0;
+
+function getQueue(engine) {
+  if (!ENGINES.includes(engine)) {
+    throw new Error(`Invalid engine: ${engine}`);
+  }
+  if (!queues[engine]) {
+    queues[engine] = { running: new Set(), waiting: [] };
+  }
+  return queues[engine];
+}
+
+function estimateWaitMs(engine, position) {
+  return Math.ceil(position / concurrency[engine]) * Math.round(averageDurationMs[engine]);
+}
+
+// Tell every waiting entry whose position moved about its new place in line
+function notifyPositions(engine) {
+  const queue = getQueue(engine);
+  queue.waiting.forEach((entry, index) => {
+    const position = index + 1;
+    if (entry.position === position) return;
+    entry.position = position;
+    entry.onUpdate({ state: 'queued', position, estimatedWaitMs: estimateWaitMs(engine, position) });
+  });
+}
+
+function recordDuration(engine, ms) {
+  averageDurationMs[engine] = averageDurationMs[engine] * (1 - AVERAGE_WEIGHT) + ms * AVERAGE_WEIGHT;
+}
+
+// Start waiting entries while there are free slots
+function drain(engine) {
+  const queue = getQueue(engine);
+  while (!paused.has(engine) && queue.running.size < concurrency[engine] && queue.waiting.length > 0) {
+    const entry = queue.waiting.shift();
+    if (entry.signal) entry.signal.removeEventListener('abort', entry.onAbort);
+    queue.running.add(entry);
+    entry.onUpdate({ state: 'running' });
+
+    const started = Date.now();
+    Promise.resolve()
+      .then(entry.task)
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        recordDuration(engine, Date.now() - started);
+        queue.running.delete(entry);
+        drain(engine);
+      });
+  }
+  notifyPositions(engine);
+}
+
+/**
+ * Schedules a render task behind the engine's concurrency limit.
+ * @param {string} engine - 'p5' or 'manim'
+ * @param {function(): Promise<*>} task - Starts the render when a slot is free
+ * @param {object} [options]
+ * @param {number} [options.priority=0] - Higher values run sooner
+ * @param {number} [options.enqueuedAt] - Arrival time; retries pass the original so they keep their place
+ * @param {AbortSignal} [options.signal] - Removes the task from the queue if aborted while waiting
+ * @param {function(object):void} [options.onUpdate] - Receives { state: 'queued', position, estimatedWaitMs } or { state: 'running' }
+ * @returns {Promise<*>} - Resolves with the task's result
+ */
+function enqueue(engine, task, { priority = 0, enqueuedAt = Date.now(), signal, onUpdate = () => {} } = {}) {
+  const queue = getQueue(engine);
+  if (signal && signal.aborted) return Promise.reject(createCancelledError());
+
+  return new Promise((resolve, reject) => {
+    const entry = {
+      task,
+      resolve,
+      reject,
+      signal,
+      onUpdate,
+      priority: Number(priority) || 0,
+      enqueuedAt,
+      seq: sequence++,
+      position: null
+    };
+
+    entry.onAbort = () => {
+      const index = queue.waiting.indexOf(entry);
+      if (index === -1) return;
+      queue.waiting.splice(index, 1);
+      reject(createCancelledError());
+      notifyPositions(engine);
+    };
+    if (signal) signal.addEventListener('abort', entry.onAbort, { once: true });
+
+    queue.waiting.push(entry);
+    queue.waiting.sort((a, b) => b.priority - a.priority || a.enqueuedAt - b.enqueuedAt || a.seq - b.seq);
+    drain(engine);
+  });
+}
+
+/**
+ * Changes the number of concurrent renders allowed for an engine.
+ * @param {string} engine
+ * @param {number} limit - At least 1
+ */
+function setConcurrency(engine, limit) {
+  getQueue(engine);
+  concurrency[engine] = parseConcurrency(limit);
+  drain(engine);
+}
+
+/**
+ * Stops starting queued renders. Renders already running are not affected.
+ * @param {string} [engine] - Engine to pause; all engines when omitted
+ */
+function pause(engine) {
+  const engines = engine ? [engine] : ENGINES;
+  for (const name of engines) {
+    getQueue(name);
+    paused.add(name);
+  }
+}
+
+/**
+ * Starts queued renders again after pause().
+ * @param {string} [engine] - Engine to resume; all engines when omitted
+ */
+function resume(engine) {
+  const engines = engine ? [engine] : ENGINES;
+  for (const name of engines) {
+    getQueue(name);
+    paused.delete(name);
+    drain(name);
+  }
+}
+
+// Snapshot of running/waiting counts per engine
+function getQueueStats() {
+  const stats = {};
+  for (const engine of ENGINES) {
+    const queue = getQueue(engine);
+    stats[engine] = {
+      concurrency: concurrency[engine],
+      paused: paused.has(engine),
+      running: queue.running.size,
+      waiting: queue.waiting.length,
+      averageDurationMs: Math.round(averageDurationMs[engine])
+    };
+  }
+  return stats;
+}
+
+module.exports = { enqueue, setConcurrency, pause, resume, getQueueStats };
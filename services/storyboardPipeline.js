@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const { renderWithRepair } = require('./renderPipeline');
+const { generateCode, validateUserCode } = require('../utils/codegenService');
+const { segmentPrompt } = require('../utils/storyboardService');
+const { joinClips, parseTransition } = require('../utils/videoSequence');
+const { resolveOutputFormat, outputPathFor } = require('../utils/outputFormats');
+const { isCancellation, throwIfCancelled } = require('./cancellation');
+
+/**
+ * Storyboard Pipeline
+ * Generates and renders each storyboard segment in order (every render goes through the
+ * render queue like any other), then joins the clips with the chosen transition.
+ * Segment clips live in a directory per run. Once the run ends only the clips of finished
+ * segments stay there, for regenerateSegments to reuse.
+ */
+
+const MEDIA_DIR = path.join(app.getPath('userData'), 'media', 'videos');
+const SEGMENTS_DIR = path.join(app.getPath('userData'), 'media', 'segments');
+
+// Give a run its own entry for a clip of another run; a hard link costs no space
+function linkClip(source, target) {
+  fs.rmSync(target, { force: true });
+  try {
+    fs.linkSync(source, target);
+  } catch {
+    fs.copyFileSync(source, target);
+  }
+}
+
+/**
+ * Deletes segment clips, and their run's segment directory once it is empty.
+ * @param {string[]} clipPaths
+ */
+function removeClips(clipPaths) {
+  for (const clipPath of clipPaths) {
+    fs.rmSync(clipPath, { force: true });
+    const dir = path.dirname(clipPath);
+    if (path.dirname(dir) === SEGMENTS_DIR && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+      fs.rmdirSync(dir);
+    }
+  }
+}
+
+/**
+ * Renders a storyboard into one video.
+ * @param {object} storyboard - Result of parseStoryboard; segments without code get generated code
+ * @param {object} options
+ * @param {string} options.runId - Unique identifier for the run; its segment clips go in a directory named after it
+ * @param {string} options.engine - 'p5' or 'manim'
+ * @param {string} [options.apiKey] - Credential for generation and repairs
+ * @param {object} [options.llm] - Provider selection: { provider, model, baseUrl }
+ * @param {object} [options.renderOptions] - Render options; format applies to the joined video only
+ * @param {object} [options.transition] - Result of parseTransition
+ * @param {number} [options.maxRepairAttempts] - Repair rounds per segment
+ * @param {number} [options.priority=0] - Queue priority of each segment render
+ * @param {(string|null)[]} [options.reuseClips] - Existing clip per segment to use instead of rendering
+ * @param {AbortSignal} [options.signal] - Cancels generation, renders and the join
+ * @param {function(string):void} [options.logFn] - Logging callback
+ * @param {function(object):void} [options.onQueueUpdate] - Receives queue updates of each segment render
+ * @param {function(object):void} [options.onProgress] - Receives render progress plus { segment, segmentCount }
+ * @param {function(object):void} [options.onStoryboard] - Receives the storyboard whenever a segment changes
+ * @returns {Promise<{videoPath: string, storyboard: object}>} - The storyboard carries each
+ *   segment's final code, status, clipPath and where it plays in the video (startSecs, endSecs)
+ */
+async function renderStoryboard(storyboard, {
+  runId,
+  engine,
+  apiKey,
+  llm = {},
+  renderOptions = {},
+  transition = parseTransition(),
+  maxRepairAttempts,
+  priority = 0,
+  reuseClips = [],
+  signal,
+  logFn = () => {},
+  onQueueUpdate,
+  onProgress = () => {},
+  onStoryboard = () => {}
+}) {
+  const output = resolveOutputFormat(renderOptions.format, renderOptions.transparent);
+  // Segments are rendered as plain MP4 and only the joined video is encoded in the requested format
+  const segmentOptions = { ...renderOptions, format: 'mp4', transparent: false };
+  const count = storyboard.segments.length;
+  const segments = storyboard.segments.map(segment => ({ ...segment, status: 'pending', clipPath: null, error: null }));
+  const current = () => ({ ...storyboard, segments: segments.map(segment => ({ ...segment })) });
+  const update = (segment, patch) => {
+    Object.assign(segment, patch);
+    onStoryboard(current());
+  };
+  const runDir = path.join(SEGMENTS_DIR, runId);
+  fs.mkdirSync(runDir, { recursive: true });
+
+  try {
+    // 1) Generate and render each segment in order
+    for (let i = 0; i < count; i++) {
+      const segment = segments[i];
+      const number = i + 1;
+      const label = `Segment ${number}/${count} "${segment.title}"`;
+      const segmentLog = msg => logFn(`[Segment ${number}] ${msg}`);
+      const clipPath = path.join(runDir, `segment${String(number).padStart(2, '0')}.mp4`);
+      throwIfCancelled(signal);
+
+      if (reuseClips[i] && fs.existsSync(reuseClips[i])) {
+        logFn(`${label}: reusing the existing clip`);
+        linkClip(reuseClips[i], clipPath);
+        update(segment, { status: 'done', clipPath });
+        continue;
+      }
+
+      try {
+        let code;
+        if (segment.code) {
+          code = await validateUserCode(segment.code, engine);
+        } else {
+          logFn(`${label}: generating code`);
+          update(segment, { status: 'generating' });
+          code = await generateCode(segmentPrompt(storyboard, i, engine), engine, apiKey, llm, { signal });
+        }
+        logFn(`${label}: rendering`);
+        update(segment, { status: 'rendering', code });
+
+        const result = await renderWithRepair(code, {
+          engine,
+          runId: `${runId}-segment${String(number).padStart(2, '0')}`,
+          apiKey,
+          llm,
+          duration: segment.durationSecs,
+          renderOptions: segmentOptions,
+          maxRepairAttempts,
+          priority,
+          onQueueUpdate,
+          onProgress: progress => onProgress({ segment: number, segmentCount: count, ...progress }),
+          onCode: repaired => update(segment, { code: repaired }),
+          signal,
+          logFn: segmentLog
+        });
+        fs.renameSync(result.videoPath, clipPath);
+        update(segment, { status: 'done', code: result.code, clipPath });
+        logFn(`${label}: done`);
+      } catch (err) {
+        update(segment, { status: isCancellation(err) ? 'cancelled' : 'failed', error: err.message });
+        if (isCancellation(err)) throw err;
+        // Name the segment so it can be edited or regenerated on its own
+        const segmentError = new Error(`${label} failed: ${err.message}`);
+        segmentError.code = err.code;
+        segmentError.details = err.details;
+        segmentError.issues = err.issues;
+        segmentError.segment = number;
+        throw segmentError;
+      }
+    }
+
+    // 2) Join the clips
+    const videoPath = outputPathFor(MEDIA_DIR, runId, output);
+    const joined = await joinClips(segments.map(segment => segment.clipPath), videoPath, { spec: output, transition, logFn, signal });
+    joined.clips.forEach(({ startSecs, endSecs }, i) => {
+      Object.assign(segments[i], { startSecs: Number(startSecs.toFixed(3)), endSecs: Number(endSecs.toFixed(3)) });
+    });
+    logFn(`Video successfully saved to ${videoPath}`);
+    return { videoPath, storyboard: current() };
+  } finally {
+    // Keep what regeneration can reuse; anything else in the directory is left over
+    const kept = segments.filter(segment => segment.status === 'done').map(segment => segment.clipPath);
+    removeClips(fs.readdirSync(runDir).map(name => path.join(runDir, name)).filter(file => !kept.includes(file)));
+    if (kept.length === 0) fs.rmSync(runDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { renderStoryboard, removeClips };
@@ -0,0 +1,44 @@
+// server-node/testCodegenValidator.js
+// Regression cases for the Manim AST check, including known sandbox bypasses
+
+const { checkManimCode } = require('./utils/codegenValidator');
+
+const scene = body => `from manim import *
+class GeneratedScene(Scene):
+    def construct(self):
+${body.split('\n').map(line => `        ${line}`).join('\n')}
+`;
+
+// [name, code, rule expected (null when the script must pass)]
+const cases = [
+  ['plain scene', scene('self.play(Write(Text("Hello")))'), null],
+  ['literal getattr', scene('getattr(self, "camera")'), null],
+  ['import os', `import os\n${scene('self.wait(1)')}`, 'import'],
+  ['module leaked by star import', scene('subprocess.run(["ls"])'), 'banned-module'],
+  [
+    'banned module imported from an allowed package',
+    `from manim.utils.file_ops import subprocess as sp\n${scene('sp.run(["ls"])')}`,
+    'banned-module'
+  ],
+  ['banned module reached as an attribute', `import manim\n${scene('manim.utils.file_ops.os.system("ls")')}`, 'banned-module'],
+  ['dunder getattr', scene('getattr(self.construct, "__globals__")'), 'banned-attribute'],
+  ['computed getattr name', scene('getattr(self.construct, "_" + "_globals__")'), 'banned-attribute'],
+  ['computed setattr name', scene('name = "x"\nsetattr(self, name, 1)'), 'banned-attribute'],
+  ['getattr passed around', `from functools import partial\n${scene('partial(getattr, self)("x")')}`, 'banned-call'],
+  ['private module attribute', `import random\n${scene('random._os.execl("/bin/sh", "sh", "-c", "ls")')}`, 'banned-attribute'],
+  ['operator.attrgetter', `import operator\n${scene('operator.attrgetter("__glob" + "als__")(Scene.construct)')}`, 'import'],
+  ['dunder walk from a literal', scene('().__class__.__base__'), 'banned-attribute'],
+  ['private name imported', `from random import _os\n${scene('self.wait(1)')}`, 'banned-attribute'],
+  ['super().__init__', `from manim import *\nclass Dot2(Dot):\n    def __init__(self, **kwargs):\n        super().__init__(**kwargs)\n${scene('self.add(Dot2())').replace('from manim import *\n', '')}`, null]
+];
+
+(async () => {
+  let failures = 0;
+  for (const [name, code, rule] of cases) {
+    const issues = await checkManimCode(code, { generated: false });
+    const ok = rule === null ? issues.length === 0 : issues.some(issue => issue.rule === rule);
+    if (!ok) failures++;
+    console.log(`${ok ? '✅' : '❌'} ${name}${ok ? '' : `: ${JSON.stringify(issues)}`}`);
+  }
+  process.exitCode = failures ? 1 : 0;
+})();
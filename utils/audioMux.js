@@ -0,0 +1,130 @@
+// Adds a soundtrack to a rendered video.
+// The audio is shifted, looped, faded and normalised as requested, then trimmed or padded
+// with silence to exactly the video's length and muxed in without re-encoding the video.
+const fs = require('fs');
+const path = require('path');
+const { runFfmpeg, probeVideo } = require('./ffmpeg');
+
+// Audio codec per output format; the other formats cannot carry sound
+const AUDIO_CODECS = {
+  mp4: ['-c:a', 'aac', '-b:a', '192k'],
+  mov: ['-c:a', 'aac', '-b:a', '192k'],
+  webm: ['-c:a', 'libopus', '-b:a', '160k']
+};
+
+const MAX_OFFSET_SECS = 3600;
+const MAX_FADE_SECS = 60;
+// EBU R128 targets for online video
+const LOUDNORM_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+const AUDIO_FORMAT_FILTER = 'aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo';
+
+// Whether a format (see resolveOutputFormat) can carry an audio track
+function supportsAudio(format = 'mp4') {
+  return Boolean(AUDIO_CODECS[format]);
+}
+
+function parseSeconds(value, name, min, max) {
+  const seconds = Number(value);
+  if (!(Number.isFinite(seconds) && seconds >= min && seconds <= max)) {
+    throw new Error(`Invalid audio ${name}: ${value}. Expected seconds between ${min} and ${max}`);
+  }
+  return seconds;
+}
+
+/**
+ * Validates the audio settings of a request. The file itself is located by the caller.
+ * @param {object} input
+ * @param {string} input.path - Audio file to use
+ * @param {number} [input.offsetSecs=0] - Positive delays the audio into the video; negative skips
+ *   that much of the start of the audio file
+ * @param {boolean} [input.loop=false] - Repeat the audio until the video ends
+ * @param {number} [input.fadeInSecs=0]
+ * @param {number} [input.fadeOutSecs=0] - Fades out at the end of the video
+ * @param {boolean} [input.normalize=false] - EBU R128 loudness normalisation
+ * @param {string} [format='mp4'] - Output format of the video the audio goes into
+ * @returns {{path: string, offsetSecs: number, loop: boolean, fadeInSecs: number, fadeOutSecs: number, normalize: boolean}}
+ */
+function parseAudioTrack(input, format = 'mp4') {
+  if (!input || typeof input !== 'object' || typeof input.path !== 'string' || !input.path) {
+    throw new Error('Audio needs a file path or upload id');
+  }
+  if (!supportsAudio(format)) {
+    throw new Error(`Output format ${format} cannot carry audio. Use ${Object.keys(AUDIO_CODECS).join(', ')}`);
+  }
+  return {
+    path: input.path,
+    offsetSecs: parseSeconds(input.offsetSecs ?? 0, 'offset', -MAX_OFFSET_SECS, MAX_OFFSET_SECS),
+    loop: Boolean(input.loop),
+    fadeInSecs: parseSeconds(input.fadeInSecs ?? 0, 'fade-in', 0, MAX_FADE_SECS),
+    fadeOutSecs: parseSeconds(input.fadeOutSecs ?? 0, 'fade-out', 0, MAX_FADE_SECS),
+    normalize: Boolean(input.normalize)
+  };
+}
+
+// Audio filter chain ending at exactly `durationSecs`
+function audioFilters(track, durationSecs) {
+  const filters = [];
+  if (track.offsetSecs < 0) {
+    filters.push(`atrim=start=${-track.offsetSecs}`, 'asetpts=PTS-STARTPTS');
+  }
+  if (track.normalize) filters.push(LOUDNORM_FILTER);
+  // loudnorm resamples to 192 kHz, and adelay needs a known channel count
+  filters.push(AUDIO_FORMAT_FILTER);
+  if (track.fadeInSecs) filters.push(`afade=t=in:st=0:d=${track.fadeInSecs}`);
+  if (track.offsetSecs > 0) {
+    const ms = Math.round(track.offsetSecs * 1000);
+    filters.push(`adelay=${ms}|${ms}`);
+  }
+  filters.push('apad', `atrim=end=${durationSecs.toFixed(3)}`);
+  if (track.fadeOutSecs) {
+    const fade = Math.min(track.fadeOutSecs, durationSecs);
+    filters.push(`afade=t=out:st=${(durationSecs - fade).toFixed(3)}:d=${fade}`);
+  }
+  return filters;
+}
+
+/**
+ * Muxes an audio track into a rendered video, replacing the file in place.
+ * @param {string} videoPath - Rendered video (mp4, mov or webm)
+ * @param {object} track - Result of parseAudioTrack
+ * @param {object} options
+ * @param {object} options.spec - Output format of the video (result of resolveOutputFormat)
+ * @param {function(string):void} [options.logFn]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{durationSecs: number}>}
+ */
+async function muxAudio(videoPath, track, { spec, logFn = () => {}, signal }) {
+  if (!supportsAudio(spec.name)) {
+    throw new Error(`Output format ${spec.name} cannot carry audio`);
+  }
+  if (!fs.existsSync(track.path)) {
+    throw new Error(`Audio file not found: ${track.path}`);
+  }
+  const { durationSecs } = await probeVideo(videoPath);
+  const { dir, name, ext } = path.parse(videoPath);
+  const tmpPath = path.join(dir, `${name}.audio${ext}`);
+
+  logFn(`Adding audio from ${path.basename(track.path)} (${durationSecs.toFixed(1)}s)`);
+  try {
+    await runFfmpeg([
+      '-y',
+      '-i', videoPath,
+      ...(track.loop ? ['-stream_loop', '-1'] : []),
+      '-i', track.path,
+      '-filter_complex', `[1:a:0]${audioFilters(track, durationSecs).join(',')}[a]`,
+      '-map', '0:v:0',
+      '-map', '[a]',
+      '-c:v', 'copy',
+      ...AUDIO_CODECS[spec.name],
+      ...(spec.name === 'mp4' ? ['-movflags', '+faststart'] : []),
+      '-t', durationSecs.toFixed(3),
+      tmpPath
+    ], { logFn, signal });
+    fs.renameSync(tmpPath, videoPath);
+  } finally {
+    fs.rmSync(tmpPath, { force: true });
+  }
+  return { durationSecs };
+}
+
+module.exports = { supportsAudio, parseAudioTrack, muxAudio };
@@ -0,0 +1,264 @@
+// Captions for rendered videos: timed cues from the request, the storyboard or the Manim
+// Text objects in the code, written as .srt and .vtt sidecars next to the video and
+// optionally burned into the frames with libass.
+const fs = require('fs');
+const path = require('path');
+const { runFfmpeg, probeVideo, escapeFilterValue } = require('./ffmpeg');
+const { encoderArgs } = require('./outputFormats');
+
+const CAPTION_SOURCES = ['cues', 'storyboard', 'manim'];
+const SOURCE_LABELS = { cues: 'given cues', storyboard: 'storyboard', manim: 'Manim Text objects' };
+// Legacy SSA alignment codes, which is how libass reads force_style for SRT input
+const POSITIONS = { bottom: 2, middle: 10, top: 6 };
+const MAX_CUES = 500;
+const MAX_CUE_CHARS = 500;
+// libass scales subtitle sizes from this script height to the video height
+const ASS_PLAY_RES_Y = 288;
+
+/**
+ * Validates the captions settings of a request.
+ * @param {object} [input]
+ * @param {object[]} [input.cues] - [{ startSecs, endSecs, text }]
+ * @param {string} [input.source] - cues | storyboard | manim; defaults to cues when given, else
+ *   the storyboard for storyboard runs and the Text objects for Manim
+ * @param {boolean} [input.burnIn=false] - Draw the captions into the frames as well
+ * @param {object} [input.style] - Burn-in style: { font, fontSize (px), position: bottom|middle|top, color: #rrggbb }
+ * @param {object} [run] - The run the captions are for
+ * @param {string} [run.format='mp4'] - Output format
+ * @param {string} [run.engine] - 'p5' or 'manim'
+ * @param {boolean} [run.storyboard=false] - Whether it is a storyboard run
+ * @returns {{source: string, cues: object[]|null, burnIn: boolean, style: object}|null} - null
+ *   when the request has no captions
+ */
+function parseCaptions(input, { format = 'mp4', engine, storyboard = false } = {}) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== 'object') {
+    throw new Error('Captions must be an object');
+  }
+  if (format === 'png') {
+    throw new Error('PNG sequences cannot have captions');
+  }
+  const source = input.source ?? (input.cues ? 'cues' : storyboard ? 'storyboard' : engine === 'manim' ? 'manim' : null);
+  if (source === null) {
+    throw new Error('Captions need cues for p5 runs');
+  }
+  if (!CAPTION_SOURCES.includes(source)) {
+    throw new Error(`Invalid caption source: ${source}. Expected one of ${CAPTION_SOURCES.join(', ')}`);
+  }
+  if (source === 'storyboard' && !storyboard) {
+    throw new Error('Storyboard captions need a storyboard run');
+  }
+  if (source === 'manim' && engine !== 'manim') {
+    throw new Error('Manim Text captions need the manim engine');
+  }
+
+  let cues = null;
+  if (source === 'cues') {
+    if (!Array.isArray(input.cues) || input.cues.length === 0 || input.cues.length > MAX_CUES) {
+      throw new Error(`Caption cues must be an array of 1 to ${MAX_CUES} entries`);
+    }
+    cues = input.cues.map((cue, i) => {
+      const startSecs = Number(cue?.startSecs);
+      const endSecs = Number(cue?.endSecs);
+      const text = typeof cue?.text === 'string' ? cue.text.trim() : '';
+      if (!(startSecs >= 0 && endSecs > startSecs)) {
+        throw new Error(`Caption cue ${i + 1}: endSecs must be after startSecs, both in seconds`);
+      }
+      if (!text || text.length > MAX_CUE_CHARS) {
+        throw new Error(`Caption cue ${i + 1} needs text of at most ${MAX_CUE_CHARS} characters`);
+      }
+      return { startSecs, endSecs, text };
+    }).sort((a, b) => a.startSecs - b.startSecs);
+  }
+
+  const { font = null, fontSize = null, position = 'bottom', color = '#ffffff' } = input.style || {};
+  if (!POSITIONS[position]) {
+    throw new Error(`Invalid caption position: ${position}. Expected one of ${Object.keys(POSITIONS).join(', ')}`);
+  }
+  if (fontSize !== null && !(Number(fontSize) >= 8 && Number(fontSize) <= 400)) {
+    throw new Error(`Invalid caption fontSize: ${fontSize}. Expected pixels between 8 and 400`);
+  }
+  if (!/^#[0-9a-f]{6}$/i.test(color)) {
+    throw new Error(`Invalid caption color: ${color}. Expected #rrggbb`);
+  }
+  if (font !== null && (typeof font !== 'string' || !/^[\w .-]{1,64}$/.test(font))) {
+    throw new Error(`Invalid caption font: ${font}`);
+  }
+
+  return {
+    source,
+    cues,
+    burnIn: Boolean(input.burnIn),
+    style: { font, fontSize: fontSize === null ? null : Number(fontSize), position, color: color.toLowerCase() }
+  };
+}
+
+// Spread texts over [startSecs, endSecs] in order, each for a share proportional to its length
+function spreadCues(texts, startSecs, endSecs) {
+  const weights = texts.map(text => Math.max(text.length, 10));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let at = startSecs;
+  return texts.map((text, i) => {
+    const secs = (endSecs - startSecs) * weights[i] / total;
+    const cue = { startSecs: at, endSecs: at + secs, text };
+    at += secs;
+    return cue;
+  });
+}
+
+function sentences(text) {
+  return (text.match(/[^.!?]+[.!?]*/g) || []).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Captions from a rendered storyboard: each segment's description, sentence by sentence,
+ * while that segment plays. Where crossfaded segments overlap, captions switch halfway.
+ * @param {object} storyboard - Storyboard whose segments carry startSecs and endSecs
+ * @returns {object[]} - Cues
+ */
+function storyboardCues(storyboard) {
+  const segments = storyboard.segments.filter(segment => segment.startSecs !== undefined);
+  return segments.flatMap((segment, i) => {
+    const previous = segments[i - 1];
+    const next = segments[i + 1];
+    const startSecs = previous ? (segment.startSecs + previous.endSecs) / 2 : segment.startSecs;
+    const endSecs = next ? (next.startSecs + segment.endSecs) / 2 : segment.endSecs;
+    return spreadCues(sentences(segment.description || segment.title), startSecs, endSecs);
+  });
+}
+
+// Python string escapes that are likely in caption text
+function unescapePython(text) {
+  return text.replace(/\\(n|t|'|"|\\)/g, (match, c) => ({ n: ' ', t: ' ' }[c] || c));
+}
+
+/**
+ * Captions from the Text, MarkupText and Paragraph objects of a Manim script, in source order.
+ * Their timing is not known without running the scene, so they share the video's length.
+ * @param {string} code - Manim script
+ * @param {number} durationSecs - Length of the rendered video
+ * @returns {object[]} - Cues
+ */
+function manimTextCues(code, durationSecs) {
+  const pattern = /\b(?:Text|MarkupText|Paragraph)\(\s*[rRuU]?("|')((?:\\.|(?!\1)[^\\\n])*)\1/g;
+  const texts = [];
+  for (const match of code.matchAll(pattern)) {
+    const text = unescapePython(match[2]).replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+    // Skip repeats such as a label rebuilt in a loop
+    if (text && texts[texts.length - 1] !== text) texts.push(text);
+  }
+  return spreadCues(texts, 0, durationSecs);
+}
+
+function timestamp(secs, separator) {
+  const ms = Math.round(secs * 1000);
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+function toSrt(cues) {
+  return cues.map((cue, i) => (
+    `${i + 1}\n${timestamp(cue.startSecs, ',')} --> ${timestamp(cue.endSecs, ',')}\n${cue.text}\n`
+  )).join('\n');
+}
+
+function toVtt(cues) {
+  return `WEBVTT\n\n${cues.map(cue => (
+    `${timestamp(cue.startSecs, '.')} --> ${timestamp(cue.endSecs, '.')}\n${cue.text}\n`
+  )).join('\n')}`;
+}
+
+/**
+ * Sidecar caption files of a rendered output.
+ * @param {string} outputPath - Rendered video
+ * @returns {{srt: string, vtt: string}}
+ */
+function captionPathsFor(outputPath) {
+  const { dir, name } = path.parse(outputPath);
+  return { srt: path.join(dir, `${name}.srt`), vtt: path.join(dir, `${name}.vtt`) };
+}
+
+// libass style overrides; sizes are given in video pixels and converted to script units
+function assStyle({ font, fontSize, position, color }, height) {
+  const scale = ASS_PLAY_RES_Y / height;
+  const [r, g, b] = [1, 3, 5].map(i => color.slice(i, i + 2).toUpperCase());
+  return [
+    ...(font ? [`FontName=${font}`] : []),
+    `FontSize=${Math.round((fontSize || height / 18) * scale)}`,
+    `PrimaryColour=&H00${b}${g}${r}`,
+    'OutlineColour=&H80000000',
+    'BorderStyle=1',
+    'Outline=1',
+    `Alignment=${POSITIONS[position]}`,
+    `MarginV=${Math.round(height * 0.05 * scale)}`
+  ].join(',');
+}
+
+/**
+ * Writes the sidecar files for a render and burns the captions in when asked.
+ * @param {string} videoPath - Rendered video, replaced in place when burning in
+ * @param {object} captions - Result of parseCaptions
+ * @param {object} options
+ * @param {object} options.spec - Output format of the video (result of resolveOutputFormat)
+ * @param {string} [options.code] - Rendered code, for Manim Text captions
+ * @param {object} [options.storyboard] - Rendered storyboard, for storyboard captions
+ * @param {function(string):void} [options.logFn]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{srt: string, vtt: string, cueCount: number}>} - Sidecar paths
+ */
+async function addCaptions(videoPath, captions, { spec, code, storyboard, logFn = () => {}, signal }) {
+  const { durationSecs, height } = await probeVideo(videoPath);
+  const { source } = captions;
+
+  let cues;
+  if (source === 'cues') {
+    cues = captions.cues;
+  } else if (source === 'storyboard') {
+    cues = storyboardCues(storyboard);
+  } else {
+    cues = manimTextCues(code, durationSecs);
+  }
+  // Drop what falls past the end, or was trimmed away by post-processing
+  cues = cues
+    .map(cue => ({ ...cue, endSecs: Math.min(cue.endSecs, durationSecs) }))
+    .filter(cue => cue.endSecs > cue.startSecs);
+  if (cues.length === 0) {
+    throw new Error(`No captions found in the ${SOURCE_LABELS[source]}`);
+  }
+
+  const files = captionPathsFor(videoPath);
+  fs.writeFileSync(files.srt, toSrt(cues));
+  fs.writeFileSync(files.vtt, toVtt(cues));
+  logFn(`Wrote ${cues.length} captions from the ${SOURCE_LABELS[source]} to ${path.basename(files.srt)} and ${path.basename(files.vtt)}`);
+
+  if (captions.burnIn) {
+    const { dir, name, ext } = path.parse(videoPath);
+    const tmpPath = path.join(dir, `${name}.captions${ext}`);
+    const filter = `subtitles=filename=${escapeFilterValue(files.srt)}:force_style=${escapeFilterValue(assStyle(captions.style, height))}`;
+    logFn('Burning captions into the video');
+    try {
+      await runFfmpeg([
+        '-y',
+        '-i', videoPath,
+        '-map', '0:v:0',
+        '-map', '0:a?',
+        '-c:a', 'copy',
+        ...encoderArgs(spec, [filter]),
+        tmpPath
+      ], { logFn, signal });
+      fs.renameSync(tmpPath, videoPath);
+    } finally {
+      fs.rmSync(tmpPath, { force: true });
+    }
+  }
+  return { ...files, cueCount: cues.length };
+}
+
+module.exports = {
+  CAPTION_SOURCES,
+  parseCaptions,
+  storyboardCues,
+  manimTextCues,
+  captionPathsFor,
+  addCaptions
+};
@@ -1,14 +1,20 @@
-const { GoogleGenAI } = require("@google/genai");
+const { complete } = require('./llmProviders');
 const { manimSystemPrompt } = require('./manimPrompts');
 const { p5SystemPrompt } = require('./p5Prompts');
-const validateManimCode = require('./codegenValidator');
+const { validateManimCode } = require('./codegenValidator');
+const { validateP5Code } = require('./p5Validator');
 
-async function generateCode(prompt, engine, apiKey) {
-  const ai = new GoogleGenAI({
-    apiKey: apiKey,
-  });
-
-  let model = "gemini-2.0-flash";
+/**
+ * Generates and validates p5.js or Manim code for a prompt.
+ * @param {string} prompt - User description of the animation
+ * @param {string} engine - 'p5' or 'manim'
+ * @param {string} [apiKey] - Credential for cloud providers
+ * @param {object} [llm] - Provider selection: { provider, model, baseUrl }
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the LLM request when the run is cancelled
+ * @returns {Promise<string>} - Cleaned, validated code
+ */
+async function generateCode(prompt, engine, apiKey, llm = {}, { signal } = {}) {
   let contents;
 
   if (engine === "p5") {
@@ -23,14 +29,59 @@ async function generateCode(prompt, engine, apiKey) {
     throw new Error("Invalid engine in generateCode");
   }
 
-  // Call the text generation API with the assembled prompt
-  const response = await ai.models.generateContent({ model, contents });
-  // Extract the raw code text
-  const raw = response.text;
+  // Call the selected LLM provider with the assembled prompt
+  const raw = await complete(contents, { ...llm, apiKey, engine, signal });
+  return await finalizeCode(raw, engine);
+}
+
+/**
+ * Asks the LLM to fix code that failed to render, given the captured error output.
+ * @param {string} code - The script that failed
+ * @param {string} errorOutput - Traceback or browser error from the failed render
+ * @param {string} engine - 'p5' or 'manim'
+ * @param {string} [apiKey] - Credential for cloud providers
+ * @param {object} [llm] - Provider selection: { provider, model, baseUrl }
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the LLM request when the run is cancelled
+ * @returns {Promise<string>} - Corrected, validated code
+ */
+async function repairCode(code, errorOutput, engine, apiKey, llm = {}, { signal } = {}) {
+  let systemPrompt;
+  let language;
+  if (engine === 'p5') {
+    systemPrompt = p5SystemPrompt;
+    language = 'p5.js sketch';
+  } else if (engine === 'manim') {
+    systemPrompt = manimSystemPrompt;
+    language = 'Manim script';
+  } else {
+    throw new Error("Invalid engine in repairCode");
+  }
+
+  const repairPrompt = [
+    `The following ${language} failed to render.`,
+    'Fix the error with the smallest possible change and return the complete corrected code.',
+    'Keep the same animation and follow every rule above.',
+    '',
+    'Code:',
+    code,
+    '',
+    'Error output:',
+    errorOutput
+  ].join("\n");
+  const contents = [systemPrompt, repairPrompt].join("\n");
+
+  const raw = await complete(contents, { ...llm, apiKey, engine, signal });
+  return await finalizeCode(raw, engine);
+}
+
+// Strip fences and run all validation on raw model output
+async function finalizeCode(raw, engine) {
   const cleaned = cleanCode(raw);
-  // Validate against banned Manim constructs to avoid runtime errors
-  if (engine === 'manim') validateManimCode(cleaned);
   validateGeneratedCode(cleaned, engine);
+  // Parse the code to reject unsafe calls and constructs that fail at render time
+  if (engine === 'p5') validateP5Code(cleaned);
+  if (engine === 'manim') await validateManimCode(cleaned);
   return cleaned;
 }
 
@@ -47,9 +98,29 @@ function validateGeneratedCode(code, engine) {
   if (engine === 'p5' && !trimmed.startsWith('function setup()')) {
     throw new Error("Invalid p5.js generation: must start with 'function setup()'");
   }
-  if (engine === 'manim' && !trimmed.includes('class GeneratedScene')) {
-    throw new Error("Invalid Manim generation: must contain 'class GeneratedScene'");
+}
+
+/**
+ * Checks hand-written or hand-edited code before it is rendered.
+ * Only the structure the renderers depend on and the security rules are
+ * enforced; the stricter rules for model output (e.g. no MathTex) do not apply.
+ * @param {string} code - p5.js sketch or Manim script
+ * @param {string} engine - 'p5' or 'manim'
+ * @returns {Promise<string>} - The code with surrounding markdown fences removed
+ */
+async function validateUserCode(code, engine) {
+  if (typeof code !== 'string' || !code.trim()) {
+    throw new Error('Code is required');
   }
+  const cleaned = cleanCode(code);
+  if (engine === 'p5') {
+    validateP5Code(cleaned);
+  } else if (engine === 'manim') {
+    await validateManimCode(cleaned, { generated: false });
+  } else {
+    throw new Error("Invalid engine in validateUserCode");
+  }
+  return cleaned;
 }
 
-module.exports = { generateCode };
\ No newline at end of file
+module.exports = { generateCode, repairCode, validateUserCode };
\ No newline at end of file
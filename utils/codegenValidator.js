@@ -1,24 +1,115 @@
-// This utility scans generated Manim code for banned patterns to prevent runtime errors
-const bannedPatterns = [
-  /Axes\s*\(/,
-  /Surface\s*\(/,
-  /ParametricFunction\s*\(/,
-  /np\.math/,        // deprecated numpy math submodule
-  /set_shade_in_scene/, // unsupported internal method
-  /MathTex\s*\(/,
-  /Tex\s*\(/,
-  /import\s+np/,      // avoid numpy imports
-  /import\s+numpy/,   // avoid numpy imports
-];
-
-function validateManimCode(code) {
-  for (const pattern of bannedPatterns) {
-    if (pattern.test(code)) {
-      throw new Error(
-        `Generated Manim code contains prohibited construct: ${pattern}`
-      );
+// Validates Manim scripts by parsing them with Python's `ast` module (see manimAstCheck.py).
+// Working on the syntax tree means comments and string literals never trigger a rule,
+// and aliasing such as `from manim import MathTex as M` is still caught.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const which = require('which');
+
+const CHECK_SCRIPT = path.join(__dirname, 'manimAstCheck.py');
+const CHECK_TIMEOUT_MS = 15000;
+
+// Rules every script must follow, hand-written or generated
+const SECURITY_RULES = {
+  allowedImports: [
+    'manim', '__future__', 'math', 'cmath', 'random', 'itertools', 'functools',
+    'colorsys', 'typing', 'dataclasses', 'enum', 'collections', 'string', 'fractions',
+    'decimal', 'statistics', 'copy', 'numpy'
+  ],
+  // Builtins that reach the filesystem, the interpreter or other processes
+  bannedCalls: [
+    'open', '__import__', 'eval', 'exec', 'compile', 'input', 'breakpoint',
+    'globals', 'locals', 'vars', '__builtins__'
+  ],
+  // Modules that `from manim import *` may leak into scope
+  bannedModules: ['os', 'sys', 'subprocess', 'shutil', 'socket', 'pathlib', 'importlib', 'ctypes'],
+  // Attributes starting with '_' are rejected by the checker itself (see manimAstCheck.py)
+  bannedAttributes: ['system', 'popen'],
+  bannedNames: [],
+  bannedPaths: []
+};
+
+// Extra rules for model output: constructs that need LaTeX or otherwise fail at render time
+const GENERATED_RULES = {
+  ...SECURITY_RULES,
+  allowedImports: SECURITY_RULES.allowedImports.filter(name => name !== 'numpy'),
+  bannedNames: ['Axes', 'Surface', 'ParametricFunction', 'MathTex', 'Tex', 'set_shade_in_scene'],
+  bannedPaths: ['np.math']
+};
+
+let cachedPython;
+
+// Interpreter used for the check; any Python 3 works since only the stdlib is needed
+function findPython() {
+  if (cachedPython) return cachedPython;
+  const candidates = [process.env.MANIM_PYTHON, 'python3', 'python'].filter(Boolean);
+  for (const candidate of candidates) {
+    const found = which.sync(candidate, { nothrow: true });
+    if (found) {
+      cachedPython = found;
+      return found;
     }
   }
+  throw new Error('Python executable not found. Please install Python 3.10+ to validate Manim code.');
+}
+
+/**
+ * Runs the AST checks and returns every violation found.
+ * @param {string} code - Manim script
+ * @param {object} [options]
+ * @param {boolean} [options.generated=true] - Apply the stricter rules for model output
+ * @returns {Promise<{rule: string, message: string, line: number, col: number}[]>}
+ */
+function checkManimCode(code, { generated = true } = {}) {
+  const rules = generated ? GENERATED_RULES : SECURITY_RULES;
+  // Run the checker from source so it also works from inside a packaged app archive
+  const source = fs.readFileSync(CHECK_SCRIPT, 'utf8');
+
+  return new Promise((resolve, reject) => {
+    const proc = spawn(findPython(), ['-c', source], { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => proc.kill('SIGKILL'), CHECK_TIMEOUT_MS);
+
+    proc.stdout.on('data', d => { stdout += d; });
+    proc.stderr.on('data', d => { stderr += d; });
+    proc.on('error', err => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    proc.on('close', exitCode => {
+      clearTimeout(timer);
+      if (exitCode !== 0) {
+        return reject(new Error(`Manim code check failed to run: ${stderr.trim() || `exit code ${exitCode}`}`));
+      }
+      try {
+        resolve(JSON.parse(stdout).issues);
+      } catch {
+        reject(new Error('Manim code check returned invalid output'));
+      }
+    });
+
+    proc.stdin.end(JSON.stringify({ code, rules }));
+  });
+}
+
+/**
+ * Throws if a Manim script breaks any rule. The error carries the full list in `issues`.
+ * @param {string} code - Manim script
+ * @param {object} [options] - See checkManimCode
+ * @returns {Promise<void>}
+ */
+async function validateManimCode(code, options) {
+  const issues = await checkManimCode(code, options);
+  if (issues.length === 0) return;
+
+  const summary = issues
+    .map(issue => `  line ${issue.line}:${issue.col} [${issue.rule}] ${issue.message}`)
+    .join('\n');
+  const err = new Error(`Manim code failed validation:\n${summary}`);
+  err.issues = issues;
+  err.isCodeError = true;
+  throw err;
 }
 
-module.exports = validateManimCode; 
\ No newline at end of file
+module.exports = { validateManimCode, checkManimCode };
@@ -0,0 +1,138 @@
+// Helpers for running the bundled ffmpeg binary
+const { spawn } = require('child_process');
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const { createCancelledError } = require('../services/cancellation');
+
+/**
+ * Spawns ffmpeg without waiting for it.
+ * @param {string[]} args - ffmpeg arguments
+ * @param {function(string):void} [logFn] - Receives ffmpeg's stderr output
+ * @returns {{proc: ChildProcess, done: Promise<void>}} - `done` resolves when ffmpeg exits cleanly
+ */
+function spawnFfmpeg(args, logFn = () => {}) {
+  const proc = spawn(ffmpegPath, args);
+  let stderrTail = '';
+  proc.stderr.on('data', d => {
+    stderrTail = (stderrTail + d).slice(-2000);
+    logFn(`ffmpeg: ${d}`);
+  });
+  // A dead encoder surfaces through `done`, not through EPIPE on stdin
+  proc.stdin.on('error', () => {});
+  const done = new Promise((resolve, reject) => {
+    proc.on('error', reject);
+    proc.on('close', code => {
+      if (code === 0) return resolve();
+      const err = new Error('ffmpeg error');
+      err.details = stderrTail;
+      reject(err);
+    });
+  });
+  // Avoid an unhandled rejection while the caller is still feeding input
+  done.catch(() => {});
+  return { proc, done };
+}
+
+/**
+ * Runs ffmpeg to completion.
+ * @param {string[]} args - ffmpeg arguments
+ * @param {object} [options]
+ * @param {function(string):void} [options.logFn] - Receives ffmpeg's stderr output
+ * @param {AbortSignal} [options.signal] - Kills ffmpeg when aborted
+ * @returns {Promise<void>}
+ */
+async function runFfmpeg(args, { logFn, signal } = {}) {
+  if (signal && signal.aborted) throw createCancelledError();
+  const { proc, done } = spawnFfmpeg(args, logFn);
+  const onAbort = () => proc.kill('SIGKILL');
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  try {
+    await done;
+  } catch (err) {
+    if (signal && signal.aborted) throw createCancelledError();
+    throw err;
+  } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+// Escape a filter option value for both levels of ffmpeg's filtergraph parsing
+function escapeFilterValue(value) {
+  return String(value).replace(/[\\':]/g, '\\$&').replace(/[\\'[\],;]/g, '\\$&');
+}
+
+// Runs `ffmpeg -i` and returns the stream summary it prints. The bundled build has no ffprobe.
+function readMediaInfo(filePath) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(ffmpegPath, ['-hide_banner', '-i', filePath]);
+    let stderr = '';
+    proc.stderr.on('data', d => { stderr += d; });
+    proc.on('error', reject);
+    // Exits non-zero because no output is given; only the printed summary matters
+    proc.on('close', () => resolve(stderr));
+  });
+}
+
+function parseDuration(info) {
+  const duration = info.match(/Duration:\s*(\d+):(\d+):([\d.]+)/);
+  if (!duration) return null;
+  const [, hours, minutes, seconds] = duration.map(Number);
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+// Length of a file found by decoding it, or null
+function decodedDuration(filePath) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(ffmpegPath, ['-hide_banner', '-i', filePath, '-f', 'null', '-']);
+    let stderrTail = '';
+    proc.stderr.on('data', d => { stderrTail = (stderrTail + d).slice(-2000); });
+    proc.on('error', reject);
+    proc.on('close', () => {
+      const times = [...stderrTail.matchAll(/time=(\d+):(\d+):([\d.]+)/g)];
+      if (!times.length) return resolve(null);
+      const [, hours, minutes, seconds] = times[times.length - 1].map(Number);
+      resolve(hours * 3600 + minutes * 60 + seconds);
+    });
+  });
+}
+
+/**
+ * Reads a video's duration, size and frame rate.
+ * @param {string} filePath
+ * @returns {Promise<{durationSecs: number, width: number, height: number, fps: number|null}>}
+ */
+async function probeVideo(filePath) {
+  const info = await readMediaInfo(filePath);
+  // GIFs carry no duration in their header; decode them to find it
+  const durationSecs = parseDuration(info) ?? await decodedDuration(filePath);
+  const video = info.match(/Stream #.*?Video:.*?,\s*(\d{2,5})x(\d{2,5})/);
+  if (durationSecs === null || !video) {
+    const err = new Error(`Could not read video information from ${filePath}`);
+    err.details = info.slice(-2000);
+    throw err;
+  }
+  const fps = info.match(/,\s*([\d.]+)\s*fps/);
+  return {
+    durationSecs,
+    width: Number(video[1]),
+    height: Number(video[2]),
+    fps: fps ? Number(fps[1]) : null
+  };
+}
+
+/**
+ * Reads the duration of a file's audio and checks that it has an audio stream.
+ * @param {string} filePath
+ * @returns {Promise<{durationSecs: number}>}
+ */
+async function probeAudio(filePath) {
+  const info = await readMediaInfo(filePath);
+  const durationSecs = parseDuration(info);
+  if (durationSecs === null || !/Stream #.*?Audio:/.test(info)) {
+    const err = new Error(`No audio stream found in ${filePath}`);
+    err.details = info.slice(-2000);
+    throw err;
+  }
+  return { durationSecs };
+}
+
+module.exports = { ffmpegPath, spawnFfmpeg, runFfmpeg, escapeFilterValue, probeVideo, probeAudio };
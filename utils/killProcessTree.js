@@ -0,0 +1,25 @@
+// Kills a child process together with everything it spawned.
+// On POSIX the child must be spawned with { detached: true } so it leads its own process group.
+const { spawn } = require('child_process');
+
+function killProcessTree(proc) {
+  if (!proc || proc.exitCode !== null || proc.signalCode !== null) return;
+
+  if (process.platform === 'win32') {
+    spawn('taskkill', ['/pid', String(proc.pid), '/T', '/F']);
+    return;
+  }
+
+  try {
+    // Negative pid targets the whole process group
+    process.kill(-proc.pid, 'SIGKILL');
+  } catch {
+    try {
+      proc.kill('SIGKILL');
+    } catch {
+      // already gone
+    }
+  }
+}
+
+module.exports = killProcessTree;
@@ -0,0 +1,130 @@
+// LLM provider layer used by codegenService
+// Every provider exposes the same complete({ contents, model, apiKey, baseUrl, engine, signal }) call
+// and resolves to the raw text returned by the model.
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const { GoogleGenAI } = require('@google/genai');
+const { throwIfCancelled } = require('../services/cancellation');
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+
+// Directory holding canned generations for the fixture provider
+const FIXTURES_DIR = process.env.CODEGEN_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures');
+
+// Google Gemini through the official SDK
+const gemini = {
+  defaultModel: 'gemini-2.0-flash',
+  async complete({ contents, model, apiKey, signal }) {
+    const ai = new GoogleGenAI({ apiKey });
+    const response = await ai.models.generateContent({
+      model,
+      contents,
+      config: signal ? { abortSignal: signal } : undefined
+    });
+    return response.text;
+  }
+};
+
+// Any endpoint speaking the OpenAI chat completions API (OpenAI, OpenRouter, llama.cpp server, vLLM...)
+const openai = {
+  defaultModel: 'gpt-4o-mini',
+  defaultBaseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  async complete({ contents, model, apiKey, baseUrl, signal }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const res = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: contents }]
+      }),
+      signal
+    });
+    if (!res.ok) {
+      throw new Error(`OpenAI-compatible provider returned ${res.status}: ${await res.text()}`);
+    }
+    const data = await res.json();
+    return data.choices?.[0]?.message?.content || '';
+  }
+};
+
+// Local Ollama server (no API key required)
+const ollama = {
+  defaultModel: 'qwen2.5-coder',
+  defaultBaseUrl: process.env.OLLAMA_HOST || 'http://127.0.0.1:11434',
+  async complete({ contents, model, baseUrl, signal }) {
+    const res = await fetch(`${baseUrl.replace(/\/+$/, '')}/api/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model, prompt: contents, stream: false }),
+      signal
+    });
+    if (!res.ok) {
+      throw new Error(`Ollama returned ${res.status}: ${await res.text()}`);
+    }
+    const data = await res.json();
+    return data.response || '';
+  }
+};
+
+// File extension of each kind of fixture
+const FIXTURE_EXTENSIONS = { p5: 'js', manim: 'py', storyboard: 'json' };
+
+// Fixture names come from the request, so they may only name files inside FIXTURES_DIR
+const FIXTURE_NAME_PATTERN = /^[\w.-]+$/;
+
+// Deterministic provider: returns fixtures/<engine>/<model>.(js|py|json) from disk
+const fixture = {
+  defaultModel: 'default',
+  async complete({ model, engine, signal }) {
+    throwIfCancelled(signal);
+    const ext = FIXTURE_EXTENSIONS[engine];
+    if (!ext) {
+      throw new Error(`No fixtures for engine: ${engine}`);
+    }
+    if (typeof model !== 'string' || !FIXTURE_NAME_PATTERN.test(model) || model.includes('..')) {
+      throw new Error(`Invalid fixture name: ${model}`);
+    }
+    const fixturePath = path.join(FIXTURES_DIR, engine, `${model}.${ext}`);
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`Fixture not found: ${fixturePath}`);
+    }
+    return fs.readFileSync(fixturePath, 'utf8');
+  }
+};
+
+const providers = { gemini, openai, ollama, fixture };
+
+/**
+ * Sends a prompt to the selected LLM provider.
+ * @param {string} contents - Fully assembled prompt text
+ * @param {object} [options]
+ * @param {string} [options.provider] - gemini | openai | ollama | fixture
+ * @param {string} [options.model] - Model name, defaults to the provider's default
+ * @param {string} [options.baseUrl] - Endpoint override for openai/ollama
+ * @param {string} [options.apiKey] - Credential for cloud providers
+ * @param {string} [options.engine] - Target engine, or 'storyboard' when planning; used by the fixture provider
+ * @param {AbortSignal} [options.signal] - Aborts the request when the run is cancelled
+ * @returns {Promise<string>} - Raw model output
+ */
+async function complete(contents, { provider, model, baseUrl, apiKey, engine, signal } = {}) {
+  const name = provider || DEFAULT_PROVIDER;
+  const impl = providers[name];
+  if (!impl) {
+    throw new Error(`Unknown LLM provider: ${name}. Expected one of ${Object.keys(providers).join(', ')}`);
+  }
+
+  return impl.complete({
+    contents,
+    model: model || impl.defaultModel,
+    baseUrl: baseUrl || impl.defaultBaseUrl,
+    apiKey,
+    engine,
+    signal
+  });
+}
+
+module.exports = { complete, providers };
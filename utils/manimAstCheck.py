@@ -0,0 +1,190 @@
+"""
+AST checks for generated Manim scripts.
+
+Reads {"code": str, "rules": {...}} as JSON on stdin and writes {"issues": [...]}
+to stdout. Each issue has rule, message, line and col (1-based). The rule set
+is supplied by utils/codegenValidator.js so it lives in one place.
+"""
+import ast
+import json
+import re
+import sys
+
+# Mirrors utils/manimScenes.js
+NUMBERED_SCENE = re.compile(r"^Scene(\d+)\w*$")
+
+# Builtins that look attributes up by a name given at run time
+ATTRIBUTE_FUNCTIONS = ("getattr", "setattr", "delattr", "hasattr")
+# The only private attribute scripts may use, for super().__init__() in custom mobjects
+ALLOWED_PRIVATE_ATTRIBUTES = {"__init__"}
+
+
+def main():
+    request = json.load(sys.stdin)
+    checker = Checker(request.get("rules", {}))
+    try:
+        tree = ast.parse(request["code"])
+    except SyntaxError as err:
+        checker.add(
+            "syntax",
+            f"Syntax error: {err.msg}",
+            err.lineno or 1,
+            (err.offset or 1),
+        )
+    else:
+        checker.visit(tree)
+        checker.check_scene(tree)
+    json.dump({"issues": checker.issues}, sys.stdout)
+
+
+class Checker(ast.NodeVisitor):
+    def __init__(self, rules):
+        self.allowed_imports = set(rules.get("allowedImports", []))
+        self.banned_calls = set(rules.get("bannedCalls", []))
+        self.banned_modules = set(rules.get("bannedModules", []))
+        self.banned_names = set(rules.get("bannedNames", []))
+        self.banned_attributes = set(rules.get("bannedAttributes", []))
+        self.banned_paths = set(rules.get("bannedPaths", []))
+        self.issues = []
+        # Name nodes of direct getattr(...) style calls, whose arguments visit_Call checks
+        self.checked_calls = set()
+
+    def add(self, rule, message, line, col):
+        self.issues.append({"rule": rule, "message": message, "line": line, "col": col})
+
+    def add_at(self, node, rule, message):
+        self.add(rule, message, node.lineno, node.col_offset + 1)
+
+    def check_module(self, node, module):
+        root = module.split(".")[0]
+        if root not in self.allowed_imports:
+            self.add_at(node, "import", f"Import of '{module}' is not allowed")
+
+    def is_banned_module(self, name):
+        return any(part in self.banned_modules for part in name.split("."))
+
+    def is_banned_attribute(self, name):
+        # Private names reach interpreter internals (random._os, ().__class__.__base__, ...)
+        if name.startswith("_"):
+            return name not in ALLOWED_PRIVATE_ATTRIBUTES
+        return name in self.banned_attributes or name in self.banned_modules
+
+    def visit_Import(self, node):
+        for alias in node.names:
+            self.check_module(node, alias.name)
+        self.generic_visit(node)
+
+    def visit_ImportFrom(self, node):
+        if node.level:
+            self.add_at(node, "import", "Relative imports are not allowed")
+        else:
+            self.check_module(node, node.module or "")
+        # Catch aliasing such as `from manim import MathTex as M`, and banned modules
+        # re-exported by an allowed one, such as `from manim.utils import subprocess as sp`
+        for alias in node.names:
+            full_name = f"{node.module}.{alias.name}" if node.module else alias.name
+            if self.is_banned_module(alias.name) or self.is_banned_module(full_name):
+                self.add_at(node, "banned-module", f"Import of '{full_name}' is not allowed")
+            elif alias.name.startswith("_"):
+                self.add_at(node, "banned-attribute", f"Import of '{full_name}' is not allowed")
+            if alias.name in self.banned_names:
+                self.add_at(node, "banned-name", f"'{alias.name}' is not supported")
+            if alias.name in self.banned_calls:
+                self.add_at(node, "banned-call", f"'{alias.name}' is not allowed")
+        self.generic_visit(node)
+
+    def visit_Name(self, node):
+        # Any reference counts, so `o = open; o(...)` is caught too
+        if node.id in self.banned_calls:
+            self.add_at(node, "banned-call", f"'{node.id}' is not allowed")
+        elif node.id in self.banned_modules:
+            self.add_at(node, "banned-module", f"Use of '{node.id}' is not allowed")
+        elif node.id in self.banned_names:
+            self.add_at(node, "banned-name", f"'{node.id}' is not supported")
+        elif node.id in ATTRIBUTE_FUNCTIONS and id(node) not in self.checked_calls:
+            # Passed around (partial(getattr, obj), g = getattr), its name argument cannot be checked
+            self.add_at(node, "banned-call", f"'{node.id}' may only be called directly")
+        self.generic_visit(node)
+
+    def visit_Attribute(self, node):
+        path = dotted_name(node)
+        if path in self.banned_paths:
+            self.add_at(node, "banned-name", f"'{path}' is not supported")
+        elif node.attr in self.banned_modules:
+            self.add_at(node, "banned-module", f"Use of '{path or node.attr}' is not allowed")
+        elif self.is_banned_attribute(node.attr):
+            self.add_at(node, "banned-attribute", f"Attribute '{node.attr}' is not allowed")
+        elif node.attr in self.banned_names:
+            self.add_at(node, "banned-name", f"'{node.attr}' is not supported")
+        self.generic_visit(node)
+
+    def visit_Call(self, node):
+        # getattr(obj, "__globals__") reaches the same places as obj.__globals__
+        func = node.func
+        if isinstance(func, ast.Name) and func.id in ATTRIBUTE_FUNCTIONS:
+            self.checked_calls.add(id(func))
+            name_arg = node.args[1] if len(node.args) > 1 else None
+            if isinstance(name_arg, ast.Constant) and isinstance(name_arg.value, str):
+                name = name_arg.value
+                if self.is_banned_attribute(name):
+                    self.add_at(node, "banned-attribute", f"Attribute '{name}' is not allowed")
+            elif func.id != "hasattr":
+                # A computed name such as '_' + '_globals__' cannot be checked
+                self.add_at(node, "banned-attribute", f"{func.id}() needs a literal attribute name")
+        self.generic_visit(node)
+
+    def check_scene(self, tree):
+        # Either one GeneratedScene or numbered scenes (Scene01Intro, Scene02Proof, ...)
+        classes = [node for node in tree.body if isinstance(node, ast.ClassDef)]
+        single = [node for node in classes if node.name == "GeneratedScene"]
+        numbered = [node for node in classes if NUMBERED_SCENE.match(node.name)]
+        if not single and not numbered:
+            self.add(
+                "scene",
+                "Missing top-level class GeneratedScene(Scene) or numbered scenes such as Scene01Intro(Scene)",
+                1,
+                1,
+            )
+            return
+        if single and numbered:
+            self.add_at(single[0], "scene", "Use either GeneratedScene or numbered scenes, not both")
+
+        seen = {}
+        for node in numbered:
+            number = int(NUMBERED_SCENE.match(node.name).group(1))
+            if number in seen:
+                self.add_at(node, "scene", f"{node.name} has the same number as {seen[number]}")
+            seen.setdefault(number, node.name)
+
+        for node in single + numbered:
+            if not any(base_name(base).endswith("Scene") for base in node.bases):
+                self.add_at(node, "scene", f"{node.name} must subclass Scene")
+            has_construct = any(
+                isinstance(item, ast.FunctionDef) and item.name == "construct"
+                for item in node.body
+            )
+            if not has_construct:
+                self.add_at(node, "scene", f"{node.name} must define construct(self)")
+
+
+def dotted_name(node):
+    parts = []
+    while isinstance(node, ast.Attribute):
+        parts.append(node.attr)
+        node = node.value
+    if not isinstance(node, ast.Name):
+        return ""
+    parts.append(node.id)
+    return ".".join(reversed(parts))
+
+
+def base_name(node):
+    if isinstance(node, ast.Name):
+        return node.id
+    if isinstance(node, ast.Attribute):
+        return node.attr
+    return ""
+
+
+if __name__ == "__main__":
+    main()
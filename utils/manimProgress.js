@@ -0,0 +1,102 @@
+// Parses Manim's tqdm progress bars into structured progress data.
+// A typical line (tqdm rewrites it in place with \r):
+//   Animation 3: Create(Circle), etc.:  45%|████▌     | 27/60 [00:01<00:01, 23.45it/s]
+const PROGRESS_LINE = /Animation\s+(\d+)\s*:\s*(.*?):\s*(\d+)%\|[^|]*\|\s*(\d+)\/(\d+)(?:\s*\[[^\]]*?(?:,\s*([\d.]+)\s*(it\/s|s\/it))?\])?/;
+
+/**
+ * Parses one tqdm progress line.
+ * @param {string} line - A single stderr line (or \r-separated segment)
+ * @returns {{index: number, name: string, percent: number, step: number, steps: number, itPerSec: number|null}|null}
+ */
+function parseProgressLine(line) {
+  const match = line.match(PROGRESS_LINE);
+  if (!match) return null;
+  const [, index, name, percent, step, steps, rate, unit] = match;
+  let itPerSec = null;
+  if (rate) {
+    const value = Number(rate);
+    itPerSec = unit === 's/it' ? (value > 0 ? 1 / value : null) : value;
+  }
+  return {
+    index: Number(index),
+    name: name.trim(),
+    percent: Number(percent),
+    step: Number(step),
+    steps: Number(steps),
+    itPerSec
+  };
+}
+
+/**
+ * Estimates how many animations a scene plays: each self.play()/self.wait() is one.
+ * Scripts that loop or call their own helper methods can play any number, so they get no estimate.
+ * @param {string} code - Manim script
+ * @returns {number|null}
+ */
+function countAnimations(code) {
+  const construct = code.split(/\n\s*def\s+construct\s*\(/)[1];
+  if (!construct) return null;
+  if (/^\s*(for|while)\b/m.test(construct)) return null;
+  const helpers = [...code.matchAll(/\bdef\s+(\w+)\s*\(\s*self\b/g)]
+    .map(match => match[1])
+    .filter(name => name !== 'construct');
+  if (helpers.some(name => new RegExp(`\\bself\\.${name}\\s*\\(`).test(construct))) return null;
+  const count = (construct.match(/\bself\.(play|wait)\s*\(/g) || []).length;
+  return count || null;
+}
+
+/**
+ * Creates a parser for one render's stderr. tqdm redraws many times per percent,
+ * so an event is only emitted when the animation or its whole-number percent changes.
+ * A line cut across two chunks is held back until the rest of it arrives.
+ * @param {object} options
+ * @param {number|null} [options.totalAnimations] - Known or estimated number of animations
+ * @param {function(object):void} options.onProgress - Receives each progress event
+ * @returns {function(string):string} - Feed a stderr chunk; returns its complete lines minus their
+ *   progress output. Call `.flush()` once the stream ends for whatever is still held back.
+ */
+function createProgressParser({ totalAnimations = null, onProgress }) {
+  let last = null;
+  let pending = '';
+
+  const parseSegments = segments => {
+    const rest = [];
+    for (const segment of segments) {
+      const parsed = parseProgressLine(segment);
+      if (!parsed) {
+        rest.push(segment);
+        continue;
+      }
+      if (last && last.index === parsed.index && last.percent === parsed.percent) continue;
+      last = parsed;
+      // Manim numbers animations from 0; an estimate that turns out too low is dropped
+      const total = totalAnimations && parsed.index < totalAnimations ? totalAnimations : null;
+      onProgress({
+        animation: parsed.index + 1,
+        totalAnimations: total,
+        name: parsed.name,
+        percent: parsed.percent,
+        step: parsed.step,
+        steps: parsed.steps,
+        itPerSec: parsed.itPerSec,
+        overallPercent: total ? Math.round(((parsed.index + parsed.percent / 100) / total) * 1000) / 10 : null
+      });
+    }
+    return rest.join('\n');
+  };
+
+  const feed = chunk => {
+    const segments = (pending + chunk).split(/[\r\n]+/);
+    // Empty when the chunk ended with \r or \n, otherwise the start of a line still being written
+    pending = segments.pop();
+    return parseSegments(segments);
+  };
+  feed.flush = () => {
+    const tail = pending;
+    pending = '';
+    return parseSegments([tail]);
+  };
+  return feed;
+}
+
+module.exports = { parseProgressLine, countAnimations, createProgressParser };
@@ -100,6 +100,7 @@ updated_mobject = always_redraw(update_function)
 
 **TECHNICAL REQUIREMENTS:**
 - **Class**: Exactly one class named \`GeneratedScene\` inheriting from \`manim.Scene\`
+- **Longer Lessons**: When the topic has clearly separate parts, instead write several numbered scenes in order, such as \`Scene01Intro\`, \`Scene02Proof\`, \`Scene03Summary\`, each inheriting from \`manim.Scene\`. Do not also define \`GeneratedScene\`. Every scene starts from an empty canvas, so each must create everything it shows
 - **Text Only**: Use \`Text\` mobject exclusively for all text and mathematical expressions
 - **Mathematical Functions**: Use \`import math\` for functions like \`math.factorial\`, \`math.sin\`, etc.
 - **Random Functions**: Use \`import random\` for \`random.random()\`, \`random.choice()\`, etc.
@@ -130,6 +131,6 @@ updated_mobject = always_redraw(update_function)
 Provide ONLY the raw Python code. No explanations, comments, or markdown formatting.
 
 /* Helper Functions */
-Ensure all helper functions (e.g., data generators, utility routines) are defined at the module level before the \`GeneratedScene\` class, so they are in scope when referenced in \`construct()\`.`;
+Ensure all helper functions (e.g., data generators, utility routines) are defined at the module level before the scene classes, so they are in scope when referenced in \`construct()\`.`;
 
 module.exports = { manimSystemPrompt }; 
\ No newline at end of file
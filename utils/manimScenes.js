@@ -0,0 +1,36 @@
+// Finds the scenes a Manim script defines.
+// A script has either one `GeneratedScene` or several numbered scenes (`Scene01Intro`,
+// `Scene02Proof`, ...) that are rendered in number order and joined into one video.
+// manimAstCheck.py enforces the same convention before anything is rendered.
+const NUMBERED_SCENE = /^Scene(\d+)\w*$/;
+
+/**
+ * Lists the scenes to render, in playback order.
+ * @param {string} code - Manim script
+ * @returns {string[]} - Class names; ['GeneratedScene'] when no numbered scenes are defined
+ */
+function findScenes(code) {
+  const classes = [...code.matchAll(/^class\s+(\w+)\s*\(/gm)].map(match => match[1]);
+  const numbered = classes
+    .filter(name => NUMBERED_SCENE.test(name))
+    .sort((a, b) => Number(a.match(NUMBERED_SCENE)[1]) - Number(b.match(NUMBERED_SCENE)[1]) || a.localeCompare(b));
+  return numbered.length > 0 ? numbered : ['GeneratedScene'];
+}
+
+/**
+ * Source of one top-level class, from its `class` line to the next top-level statement.
+ * @param {string} code - Manim script
+ * @param {string} name - Class name
+ * @returns {string|null}
+ */
+function sceneSource(code, name) {
+  const lines = code.split('\n');
+  const start = lines.findIndex(line => new RegExp(`^class\\s+${name}\\s*\\(`).test(line));
+  if (start === -1) return null;
+  let end = start + 1;
+  // Blank lines and unindented comments do not end a class body
+  while (end < lines.length && !/^[^\s#]/.test(lines[end])) end++;
+  return lines.slice(start, end).join('\n');
+}
+
+module.exports = { findScenes, sceneSource };
@@ -0,0 +1,137 @@
+// Output formats shared by the p5 and Manim renderers.
+// Each entry knows its file extension, MIME type, whether it can carry alpha,
+// the Manim --format it maps to (if any) and its ffmpeg filters and codec arguments.
+const path = require('path');
+
+// libx264 and yuv420p need even frame dimensions
+const EVEN_DIMENSIONS_FILTER = 'scale=trunc(iw/2)*2:trunc(ih/2)*2';
+
+const OUTPUT_FORMATS = {
+  mp4: {
+    extension: 'mp4',
+    mimeType: 'video/mp4',
+    supportsAlpha: false,
+    manimFormat: 'mp4',
+    filters: [EVEN_DIMENSIONS_FILTER],
+    codecArgs: () => ['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-movflags', '+faststart']
+  },
+  webm: {
+    extension: 'webm',
+    mimeType: 'video/webm',
+    supportsAlpha: true,
+    manimFormat: 'webm',
+    filters: [EVEN_DIMENSIONS_FILTER],
+    codecArgs: transparent => [
+      '-c:v', 'libvpx-vp9', '-pix_fmt', transparent ? 'yuva420p' : 'yuv420p',
+      '-b:v', '0', '-crf', '32',
+      ...(transparent ? ['-auto-alt-ref', '0'] : [])
+    ]
+  },
+  // ProRes 4444 when transparent, ProRes 422 HQ otherwise
+  mov: {
+    extension: 'mov',
+    mimeType: 'video/quicktime',
+    supportsAlpha: true,
+    manimFormat: 'mov',
+    filters: [EVEN_DIMENSIONS_FILTER],
+    codecArgs: transparent => [
+      '-c:v', 'prores_ks',
+      '-profile:v', transparent ? '4444' : '3',
+      '-pix_fmt', transparent ? 'yuva444p10le' : 'yuv422p10le'
+    ]
+  },
+  gif: {
+    extension: 'gif',
+    mimeType: 'image/gif',
+    supportsAlpha: false,
+    manimFormat: 'gif',
+    // Two-pass palette keeps colours faithful at 256 entries
+    filters: ['split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer:bayer_scale=5'],
+    codecArgs: () => ['-loop', '0']
+  },
+  apng: {
+    extension: 'apng',
+    mimeType: 'image/apng',
+    supportsAlpha: true,
+    manimFormat: null,
+    filters: [],
+    codecArgs: transparent => [
+      '-c:v', 'apng', '-pix_fmt', transparent ? 'rgba' : 'rgb24',
+      '-plays', '0', '-f', 'apng'
+    ]
+  },
+  // Numbered PNG files in a directory
+  png: {
+    extension: 'png',
+    mimeType: 'image/png',
+    supportsAlpha: true,
+    sequence: true,
+    manimFormat: null,
+    filters: [],
+    codecArgs: transparent => ['-c:v', 'png', '-pix_fmt', transparent ? 'rgba' : 'rgb24']
+  }
+};
+
+/**
+ * Validates a requested format and returns its description.
+ * @param {string} [format='mp4'] - mp4 | webm | mov | gif | apng | png
+ * @param {boolean} [transparent=false] - Keep the alpha channel
+ * @returns {object} - Format entry plus `name` and `transparent`
+ */
+function resolveOutputFormat(format = 'mp4', transparent = false) {
+  const entry = OUTPUT_FORMATS[format];
+  if (!entry) {
+    throw new Error(`Unsupported output format: ${format}. Expected one of ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+  if (transparent && !entry.supportsAlpha) {
+    throw new Error(`Output format ${format} cannot be transparent. Use webm, mov, apng or png`);
+  }
+  return { ...entry, name: format, transparent: Boolean(transparent) };
+}
+
+/**
+ * Final location of a render: a file, or a directory for PNG sequences.
+ * @param {string} dir - Media directory
+ * @param {string} runId - Unique identifier for the render job
+ * @param {object} spec - Result of resolveOutputFormat
+ * @returns {string}
+ */
+function outputPathFor(dir, runId, spec) {
+  return spec.sequence ? path.join(dir, `${runId}-frames`) : path.join(dir, `${runId}.${spec.extension}`);
+}
+
+/**
+ * ffmpeg output arguments for a format, excluding the output path.
+ * @param {object} spec - Result of resolveOutputFormat
+ * @param {string[]} [preFilters] - Video filters applied before the format's own (e.g. scaling)
+ * @returns {string[]}
+ */
+function encoderArgs(spec, preFilters = []) {
+  const filters = [...preFilters, ...spec.filters];
+  return [
+    ...(filters.length ? ['-vf', filters.join(',')] : []),
+    ...spec.codecArgs(spec.transparent)
+  ];
+}
+
+// The path ffmpeg should write to for an output location
+function ffmpegTarget(outputPath, spec) {
+  return spec.sequence ? path.join(outputPath, 'frame_%04d.png') : outputPath;
+}
+
+// MIME type for a served file, based on its extension
+function mimeTypeFor(filePath) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  const entry = Object.values(OUTPUT_FORMATS).find(f => f.extension === extension);
+  return entry ? entry.mimeType : null;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  EVEN_DIMENSIONS_FILTER,
+  resolveOutputFormat,
+  encoderArgs,
+  outputPathFor,
+  ffmpegTarget,
+  mimeTypeFor
+};
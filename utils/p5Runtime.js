@@ -0,0 +1,63 @@
+// Locates locally available p5.js builds so sketches render without network access.
+// Versions come from npm-aliased packages in package.json (p5-<version>) and from
+// an optional vendor directory laid out as <P5_VENDOR_DIR>/<version>/p5.min.js.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_P5_VERSION = process.env.P5_VERSION || '1.6.0';
+const VENDOR_DIR = process.env.P5_VENDOR_DIR || path.join(__dirname, '..', 'vendor', 'p5');
+
+// npm aliases declared in package.json
+const BUNDLED_PACKAGES = ['p5-1.6.0', 'p5-1.11.13'];
+
+function findBundled() {
+  const found = [];
+  for (const pkg of BUNDLED_PACKAGES) {
+    try {
+      found.push({
+        version: pkg.replace(/^p5-/, ''),
+        path: require.resolve(`${pkg}/lib/p5.min.js`),
+        source: 'bundled'
+      });
+    } catch {
+      // package not installed
+    }
+  }
+  return found;
+}
+
+function findVendored() {
+  if (!fs.existsSync(VENDOR_DIR)) return [];
+  return fs.readdirSync(VENDOR_DIR)
+    .map(version => ({ version, path: path.join(VENDOR_DIR, version, 'p5.min.js'), source: 'vendor' }))
+    .filter(entry => fs.existsSync(entry.path));
+}
+
+/**
+ * Lists every p5.js version available locally. Vendored copies override bundled ones.
+ * @returns {{version: string, path: string, source: string}[]}
+ */
+function listP5Versions() {
+  const byVersion = new Map();
+  for (const entry of [...findBundled(), ...findVendored()]) {
+    byVersion.set(entry.version, entry);
+  }
+  return [...byVersion.values()];
+}
+
+/**
+ * Resolves the local p5.min.js for a version.
+ * @param {string} [version] - Defaults to P5_VERSION or 1.6.0
+ * @returns {string} - Absolute path to p5.min.js
+ */
+function resolveP5Runtime(version = DEFAULT_P5_VERSION) {
+  const versions = listP5Versions();
+  const match = versions.find(entry => entry.version === version);
+  if (!match) {
+    const available = versions.map(entry => entry.version).join(', ') || 'none';
+    throw new Error(`p5.js ${version} is not available locally. Available versions: ${available}`);
+  }
+  return match.path;
+}
+
+module.exports = { listP5Versions, resolveP5Runtime, DEFAULT_P5_VERSION };
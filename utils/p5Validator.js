@@ -0,0 +1,232 @@
+// Static analysis for p5.js sketches, run before a browser is launched.
+// Sketches execute in a real Chrome page with file access, so anything that can
+// reach the network or evaluate new code is rejected here.
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+
+// Globals that reach the network or evaluate strings as code
+const BANNED_GLOBALS = {
+  fetch: 'Network access via fetch() is not allowed',
+  XMLHttpRequest: 'Network access via XMLHttpRequest is not allowed',
+  WebSocket: 'Network access via WebSocket is not allowed',
+  EventSource: 'Network access via EventSource is not allowed',
+  eval: 'eval() is not allowed',
+  Function: 'The Function constructor is not allowed'
+};
+
+// p5 loaders that take a path or URL as their first argument
+const P5_LOADERS = [
+  'loadImage', 'loadJSON', 'loadStrings', 'loadTable', 'loadXML', 'loadBytes',
+  'loadFont', 'loadShader', 'loadModel', 'loadSound', 'httpGet', 'httpPost', 'httpDo'
+];
+
+const REMOTE_URL = /^(?:[a-z][a-z0-9+.-]*:)?\/\//i;
+
+// Names of the global object; `this` is the window inside setup() and draw() in global mode
+const GLOBAL_OBJECTS = ['window', 'globalThis', 'self', 'top', 'parent', 'frames'];
+
+function issueAt(node, rule, message, severity = 'error') {
+  return { rule, severity, message, line: node.loc.start.line, col: node.loc.start.column + 1 };
+}
+
+function isGlobalObject(node) {
+  return node.type === 'ThisExpression' || (node.type === 'Identifier' && GLOBAL_OBJECTS.includes(node.name));
+}
+
+// Property name of `a.b`, `a['b']` or `` a[`b`] ``; null when it is computed at run time
+function propertyKey(member) {
+  const { property } = member;
+  if (!member.computed) return property.name;
+  if (property.type === 'Literal') return String(property.value);
+  if (property.type === 'TemplateLiteral' && property.expressions.length === 0) return property.quasis[0].value.cooked;
+  return null;
+}
+
+// Name of the called function for `fn()` and `window.fn()` / `globalThis.fn()`
+function calleeName(callee) {
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression' && isGlobalObject(callee.object)) {
+    return propertyKey(callee);
+  }
+  return null;
+}
+
+function isConstantTrue(test) {
+  if (!test) return true; // for (;;)
+  return (test.type === 'Literal' && Boolean(test.value)) ||
+    (test.type === 'UnaryExpression' && test.operator === '!' && test.argument.type === 'Literal' && !test.argument.value);
+}
+
+// Whether a loop body contains a break, return or throw that leaves this loop
+function hasExit(body) {
+  let found = false;
+  const visit = (node, loopDepth, switchDepth) => {
+    if (found || !node || typeof node.type !== 'string') return;
+    switch (node.type) {
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        return; // exits inside nested functions do not leave the loop
+      case 'ReturnStatement':
+      case 'ThrowStatement':
+        found = true;
+        return;
+      case 'BreakStatement':
+        // A labelled break may target this loop; an unlabelled one only if not nested
+        if (node.label || (loopDepth === 0 && switchDepth === 0)) found = true;
+        return;
+      default:
+        break;
+    }
+    const isLoop = /^(While|DoWhile|For|ForIn|ForOf)Statement$/.test(node.type);
+    const isSwitch = node.type === 'SwitchStatement';
+    for (const key of Object.keys(node)) {
+      if (key === 'loc') continue;
+      const child = node[key];
+      const children = Array.isArray(child) ? child : [child];
+      for (const c of children) {
+        if (c && typeof c.type === 'string') {
+          visit(c, loopDepth + (isLoop ? 1 : 0), switchDepth + (isSwitch ? 1 : 0));
+        }
+      }
+    }
+  };
+  visit(body, 0, 0);
+  return found;
+}
+
+// Top-level sketch functions, declared as `function setup()` or `const setup = () => {}`
+function topLevelFunctions(ast) {
+  const names = new Set();
+  for (const node of ast.body) {
+    if (node.type === 'FunctionDeclaration') {
+      names.add(node.id.name);
+    } else if (node.type === 'VariableDeclaration') {
+      for (const decl of node.declarations) {
+        if (decl.id.type === 'Identifier' && decl.init && /Function/.test(decl.init.type)) {
+          names.add(decl.id.name);
+        }
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Parses a sketch and reports every problem found.
+ * @param {string} code - p5.js sketch in global mode
+ * @returns {{rule: string, severity: string, message: string, line: number, col: number}[]}
+ */
+function checkP5Code(code) {
+  let ast;
+  try {
+    ast = acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'script', locations: true });
+  } catch (err) {
+    const loc = err.loc || { line: 1, column: 0 };
+    return [{
+      rule: 'syntax',
+      severity: 'error',
+      message: `Syntax error: ${err.message.replace(/\s*\(\d+:\d+\)$/, '')}`,
+      line: loc.line,
+      col: loc.column + 1
+    }];
+  }
+
+  const issues = [];
+  const functions = topLevelFunctions(ast);
+  for (const name of ['setup', 'draw']) {
+    if (!functions.has(name)) {
+      issues.push({ rule: 'structure', severity: 'error', message: `Sketch must define ${name}()`, line: 1, col: 1 });
+    }
+  }
+
+  const checkLoop = node => {
+    if (isConstantTrue(node.test) && !hasExit(node.body)) {
+      issues.push(issueAt(node, 'infinite-loop', 'Loop never exits: add a break, return or a real condition'));
+    }
+  };
+
+  walk.full(ast, node => {
+    switch (node.type) {
+      case 'Identifier':
+        // Any reference counts, so `const f = fetch; f(url)` is caught too
+        if (Object.prototype.hasOwnProperty.call(BANNED_GLOBALS, node.name)) {
+          issues.push(issueAt(node, 'banned-api', BANNED_GLOBALS[node.name]));
+        }
+        break;
+      case 'MemberExpression': {
+        const key = propertyKey(node);
+        if (isGlobalObject(node.object)) {
+          // window['ev' + 'al'] could name any global, so only literal keys can be checked
+          if (key === null) {
+            issues.push(issueAt(node, 'banned-api', 'Computed access to the global object is not allowed'));
+          } else if (Object.prototype.hasOwnProperty.call(BANNED_GLOBALS, key)) {
+            issues.push(issueAt(node, 'banned-api', BANNED_GLOBALS[key]));
+          }
+        }
+        // fn.constructor.constructor is the Function constructor
+        if (key === 'constructor' && node.object.type === 'MemberExpression' && propertyKey(node.object) === 'constructor') {
+          issues.push(issueAt(node, 'banned-api', BANNED_GLOBALS.Function));
+        }
+        break;
+      }
+      case 'ImportExpression':
+        issues.push(issueAt(node, 'banned-api', 'Dynamic import() is not allowed'));
+        break;
+      case 'CallExpression': {
+        const name = calleeName(node.callee);
+        if (name === 'setTimeout' || name === 'setInterval') {
+          const [handler] = node.arguments;
+          if (handler && handler.type === 'Literal' && typeof handler.value === 'string') {
+            issues.push(issueAt(node, 'banned-api', `${name}() with a string evaluates code and is not allowed`));
+          }
+        }
+        if (P5_LOADERS.includes(name)) {
+          const [source] = node.arguments;
+          if (source && source.type === 'Literal' && typeof source.value === 'string') {
+            if (REMOTE_URL.test(source.value)) {
+              issues.push(issueAt(node, 'remote-asset', `${name}() of a remote URL is not allowed: ${source.value}`));
+            }
+          } else if (source && source.type === 'TemplateLiteral' && source.expressions.length === 0) {
+            if (REMOTE_URL.test(source.quasis[0].value.cooked)) {
+              issues.push(issueAt(node, 'remote-asset', `${name}() of a remote URL is not allowed`));
+            }
+          } else if (source) {
+            issues.push(issueAt(node, 'remote-asset', `${name}() needs a literal path so it can be checked`));
+          }
+        }
+        break;
+      }
+      case 'WhileStatement':
+      case 'DoWhileStatement':
+      case 'ForStatement':
+        checkLoop(node);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return issues.sort((a, b) => a.line - b.line || a.col - b.col);
+}
+
+/**
+ * Throws if a sketch has any error-level issue. The error carries the full list in `issues`.
+ * @param {string} code - p5.js sketch
+ * @returns {object[]} - Remaining warnings
+ */
+function validateP5Code(code) {
+  const issues = checkP5Code(code);
+  const errors = issues.filter(issue => issue.severity === 'error');
+  if (errors.length === 0) return issues;
+
+  const summary = errors
+    .map(issue => `  line ${issue.line}:${issue.col} [${issue.rule}] ${issue.message}`)
+    .join('\n');
+  const err = new Error(`p5.js sketch failed validation:\n${summary}`);
+  err.issues = issues;
+  err.isCodeError = true;
+  throw err;
+}
+
+module.exports = { validateP5Code, checkP5Code };
@@ -0,0 +1,299 @@
+// Post-processing chain for rendered videos: watermark, title cards, aspect ratio, speed
+// and trim, applied in the declared order in a single ffmpeg pass.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runFfmpeg, probeVideo, escapeFilterValue } = require('./ffmpeg');
+const { fitFilters } = require('./renderSettings');
+
+const STEP_TYPES = ['watermark', 'intro', 'outro', 'aspect', 'speed', 'trim'];
+const ASPECT_RATIOS = { '16:9': 16 / 9, '9:16': 9 / 16, '1:1': 1 };
+const ASPECT_MODES = ['letterbox', 'crop'];
+const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+const MAX_STEPS = 20;
+const MAX_CARD_SECS = 30;
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4;
+const MAX_TEXT_CHARS = 200;
+const MAX_TRIM_SECS = 3600;
+
+function fail(index, message) {
+  throw new Error(`Post-processing step ${index + 1}: ${message}`);
+}
+
+function parseColor(value, fallback, index, name) {
+  const color = value ?? fallback;
+  if (!/^#[0-9a-f]{6}$/i.test(color)) fail(index, `${name} must be #rrggbb`);
+  return color.toLowerCase();
+}
+
+function parseText(value, index, name, required) {
+  if (value === undefined || value === null || value === '') {
+    if (required) fail(index, `${name} is required`);
+    return null;
+  }
+  if (typeof value !== 'string' || value.length > MAX_TEXT_CHARS) {
+    fail(index, `${name} must be text of at most ${MAX_TEXT_CHARS} characters`);
+  }
+  return value;
+}
+
+function parseFont(value, index) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || !/^[\w .-]{1,64}$/.test(value)) fail(index, `invalid font: ${value}`);
+  return value;
+}
+
+function parseNumber(value, fallback, min, max, index, name) {
+  const number = Number(value ?? fallback);
+  if (!(Number.isFinite(number) && number >= min && number <= max)) {
+    fail(index, `${name} must be between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// Validate one step and keep only its known options
+function parseStep(step, index) {
+  if (!step || typeof step !== 'object') fail(index, 'must be an object');
+  if (!STEP_TYPES.includes(step.type)) {
+    fail(index, `invalid type: ${step.type}. Expected one of ${STEP_TYPES.join(', ')}`);
+  }
+
+  switch (step.type) {
+    case 'watermark': {
+      const text = parseText(step.text, index, 'text', false);
+      const image = step.image ? path.resolve(String(step.image)) : null;
+      if (!text === !image) fail(index, 'a watermark needs either text or image');
+      if (image && !fs.existsSync(image)) fail(index, `image not found: ${step.image}`);
+      const position = step.position ?? 'bottom-right';
+      if (!WATERMARK_POSITIONS.includes(position)) {
+        fail(index, `invalid position: ${position}. Expected one of ${WATERMARK_POSITIONS.join(', ')}`);
+      }
+      return {
+        type: 'watermark',
+        text,
+        image,
+        position,
+        opacity: parseNumber(step.opacity, 0.8, 0, 1, index, 'opacity'),
+        // Image width, or text height, as a fraction of the frame
+        scale: parseNumber(step.scale, image ? 0.15 : 0.05, 0.01, 1, index, 'scale'),
+        color: parseColor(step.color, '#ffffff', index, 'color'),
+        font: parseFont(step.font, index)
+      };
+    }
+    case 'intro':
+    case 'outro':
+      return {
+        type: step.type,
+        title: parseText(step.title, index, 'title', true),
+        subtitle: parseText(step.subtitle, index, 'subtitle', false),
+        durationSecs: parseNumber(step.durationSecs, 2, 0.5, MAX_CARD_SECS, index, 'durationSecs'),
+        background: parseColor(step.background, '#000000', index, 'background'),
+        color: parseColor(step.color, '#ffffff', index, 'color'),
+        font: parseFont(step.font, index)
+      };
+    case 'aspect': {
+      if (!ASPECT_RATIOS[step.ratio]) {
+        fail(index, `invalid ratio: ${step.ratio}. Expected one of ${Object.keys(ASPECT_RATIOS).join(', ')}`);
+      }
+      const mode = step.mode ?? 'letterbox';
+      if (!ASPECT_MODES.includes(mode)) fail(index, `invalid mode: ${mode}. Expected one of ${ASPECT_MODES.join(', ')}`);
+      return { type: 'aspect', ratio: step.ratio, mode };
+    }
+    case 'speed':
+      return { type: 'speed', factor: parseNumber(step.factor, undefined, MIN_SPEED, MAX_SPEED, index, 'factor') };
+    case 'trim': {
+      const startSecs = parseNumber(step.startSecs, 0, 0, MAX_TRIM_SECS, index, 'startSecs');
+      const endSecs = step.endSecs === undefined || step.endSecs === null
+        ? null
+        : parseNumber(step.endSecs, undefined, startSecs, MAX_TRIM_SECS, index, 'endSecs');
+      if (endSecs === startSecs) fail(index, 'endSecs must be after startSecs');
+      return { type: 'trim', startSecs, endSecs };
+    }
+  }
+}
+
+/**
+ * Validates a post-processing chain.
+ * @param {object[]} steps - Steps in the order they are applied:
+ *   { type: 'watermark', text | image, position?, opacity?, scale?, color?, font? }
+ *   { type: 'intro' | 'outro', title, subtitle?, durationSecs?, background?, color?, font? }
+ *   { type: 'aspect', ratio: '16:9' | '9:16' | '1:1', mode?: 'letterbox' | 'crop' }
+ *   { type: 'speed', factor } - 2 plays twice as fast
+ *   { type: 'trim', startSecs?, endSecs? } - in the video as it is at that point of the chain
+ * @param {string} [format='mp4'] - Output format of the render
+ * @returns {object[]}
+ */
+function parsePostProcess(steps, format = 'mp4') {
+  if (!Array.isArray(steps) || steps.length > MAX_STEPS) {
+    throw new Error(`Post-processing must be an array of at most ${MAX_STEPS} steps`);
+  }
+  if (format === 'png' && steps.length) {
+    throw new Error('PNG sequences cannot be post-processed');
+  }
+  return steps.map(parseStep);
+}
+
+// Even size closest to the target ratio that contains (letterbox) or fits inside (crop) the frame
+function aspectSize({ width, height }, ratio, mode) {
+  const wider = width / height > ratio;
+  const [w, h] = wider === (mode === 'letterbox')
+    ? [width, width / ratio]
+    : [height * ratio, height];
+  // Rounding down keeps a crop inside the frame
+  const even = n => Math.max(2, Math.floor(n / 2) * 2);
+  return { width: even(w), height: even(h) };
+}
+
+// drawtext placement for a watermark corner
+function textPosition(position, margin) {
+  const x = position.endsWith('left') ? `${margin}` : position.endsWith('right') ? `w-text_w-${margin}` : '(w-text_w)/2';
+  const y = position.startsWith('top') ? `${margin}` : position.startsWith('bottom') ? `h-text_h-${margin}` : '(h-text_h)/2';
+  return { x, y };
+}
+
+function overlayPosition(position, margin) {
+  const x = position.endsWith('left') ? `${margin}` : position.endsWith('right') ? `W-w-${margin}` : '(W-w)/2';
+  const y = position.startsWith('top') ? `${margin}` : position.startsWith('bottom') ? `H-h-${margin}` : '(H-h)/2';
+  return { x, y };
+}
+
+/**
+ * Applies a post-processing chain to a rendered video, replacing the file in place.
+ * @param {string} videoPath - Rendered video
+ * @param {object[]} steps - Result of parsePostProcess
+ * @param {object} options
+ * @param {object} options.spec - Output format of the video (result of resolveOutputFormat)
+ * @param {function(string):void} [options.logFn]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{durationSecs: number, mapTime: function(number): number}>} - mapTime maps a
+ *   time in the rendered video to the same moment in the processed one
+ */
+async function postProcess(videoPath, steps, { spec, logFn = () => {}, signal }) {
+  const info = await probeVideo(videoPath);
+  const pixelFormat = spec.transparent ? 'yuva420p' : 'yuv420p';
+  const fps = info.fps || 30;
+  let { width, height, durationSecs } = info;
+  let label = 'v0';
+  let count = 0;
+  const next = () => `v${++count}`;
+
+  const graph = [`[0:v]setpts=PTS-STARTPTS,fps=${fps},format=${pixelFormat},setsar=1[v0]`];
+  const inputs = ['-i', videoPath];
+  const textFiles = [];
+  const timeMaps = [];
+
+  // drawtext reads text from a file, so nothing in it needs escaping
+  const drawText = (text, { size, color, opacity = 1, font, x, y }) => {
+    const file = path.join(os.tmpdir(), `${path.parse(videoPath).name}-text${textFiles.length}.txt`);
+    fs.writeFileSync(file, text);
+    textFiles.push(file);
+    return [
+      'drawtext=expansion=none',
+      `textfile=${escapeFilterValue(file)}`,
+      ...(font ? [`font=${escapeFilterValue(font)}`] : []),
+      `fontsize=${Math.max(8, Math.round(size))}`,
+      `fontcolor=${color}@${opacity}`,
+      `x=${escapeFilterValue(x)}`,
+      `y=${escapeFilterValue(y)}`
+    ].join(':');
+  };
+
+  for (const step of steps) {
+    const output = next();
+    switch (step.type) {
+      case 'watermark': {
+        const margin = Math.round(Math.min(width, height) * 0.03);
+        if (step.text) {
+          const { x, y } = textPosition(step.position, margin);
+          graph.push(`[${label}]${drawText(step.text, { size: height * step.scale, color: step.color, opacity: step.opacity, font: step.font, x, y })}[${output}]`);
+        } else {
+          const input = inputs.length / 2;
+          inputs.push('-i', step.image);
+          const { x, y } = overlayPosition(step.position, margin);
+          graph.push(`[${input}:v]scale=${Math.round(width * step.scale)}:-1,format=rgba,colorchannelmixer=aa=${step.opacity}[wm${input}]`);
+          graph.push(`[${label}][wm${input}]overlay=x=${escapeFilterValue(x)}:y=${escapeFilterValue(y)},format=${pixelFormat}[${output}]`);
+        }
+        break;
+      }
+      case 'intro':
+      case 'outro': {
+        const card = `card${count}`;
+        const text = [drawText(step.title, {
+          size: height / 12, color: step.color, font: step.font, x: '(w-text_w)/2', y: step.subtitle ? '(h/2)-text_h' : '(h-text_h)/2'
+        })];
+        if (step.subtitle) {
+          text.push(drawText(step.subtitle, {
+            size: height / 24, color: step.color, opacity: 0.8, font: step.font, x: '(w-text_w)/2', y: `(h/2)+${Math.round(height / 40)}`
+          }));
+        }
+        graph.push(`color=c=${step.background}:s=${width}x${height}:r=${fps}:d=${step.durationSecs},format=${pixelFormat},setsar=1,${text.join(',')}[${card}]`);
+        const order = step.type === 'intro' ? `[${card}][${label}]` : `[${label}][${card}]`;
+        graph.push(`${order}concat=n=2:v=1:a=0[${output}]`);
+        if (step.type === 'intro') {
+          const offset = step.durationSecs;
+          timeMaps.push(t => t + offset);
+        }
+        durationSecs += step.durationSecs;
+        break;
+      }
+      case 'aspect': {
+        const size = aspectSize({ width, height }, ASPECT_RATIOS[step.ratio], step.mode);
+        const filters = step.mode === 'letterbox'
+          ? fitFilters(size, spec.transparent)
+          : [`crop=${size.width}:${size.height}`];
+        graph.push(`[${label}]${filters.join(',')},setsar=1[${output}]`);
+        ({ width, height } = size);
+        break;
+      }
+      case 'speed': {
+        graph.push(`[${label}]setpts=PTS/${step.factor},fps=${fps}[${output}]`);
+        const { factor } = step;
+        timeMaps.push(t => t / factor);
+        durationSecs /= factor;
+        break;
+      }
+      case 'trim': {
+        const start = step.startSecs;
+        const end = Math.min(step.endSecs ?? durationSecs, durationSecs);
+        if (start >= end) {
+          throw new Error(`Cannot trim from ${start}s: the video is only ${durationSecs.toFixed(2)}s long at that step`);
+        }
+        graph.push(`[${label}]trim=start=${start}:end=${end},setpts=PTS-STARTPTS[${output}]`);
+        const length = end - start;
+        timeMaps.push(t => Math.min(Math.max(t - start, 0), length));
+        durationSecs = length;
+        break;
+      }
+    }
+    label = output;
+  }
+  // The format's own filters (e.g. the GIF palette) run last
+  graph.push(`[${label}]${spec.filters.length ? spec.filters.join(',') : 'null'}[out]`);
+
+  const { dir, name, ext } = path.parse(videoPath);
+  const tmpPath = path.join(dir, `${name}.post${ext}`);
+  logFn(`Post-processing: ${steps.map(step => step.type).join(' -> ')}`);
+  try {
+    await runFfmpeg([
+      '-y',
+      ...inputs,
+      '-filter_complex', graph.join(';'),
+      '-map', '[out]',
+      ...spec.codecArgs(spec.transparent),
+      tmpPath
+    ], { logFn, signal });
+    fs.renameSync(tmpPath, videoPath);
+  } finally {
+    fs.rmSync(tmpPath, { force: true });
+    textFiles.forEach(file => fs.rmSync(file, { force: true }));
+  }
+
+  logFn(`Post-processed video is ${width}x${height}, ${durationSecs.toFixed(1)}s`);
+  return {
+    durationSecs,
+    mapTime: t => timeMaps.reduce((time, map) => map(time), t)
+  };
+}
+
+module.exports = { STEP_TYPES, ASPECT_RATIOS, parsePostProcess, postProcess };
@@ -0,0 +1,132 @@
+// Render settings schema shared by the p5 and Manim renderers.
+// A request may name a quality preset, an explicit resolution and/or an fps;
+// explicit values override the preset.
+const { resolveOutputFormat } = require('./outputFormats');
+const { resolveP5Runtime } = require('./p5Runtime');
+
+// Mirrors Manim's -ql/-qm/-qh/-qp/-qk presets
+const QUALITY_PRESETS = {
+  low: { flag: '-ql', width: 854, height: 480, fps: 15 },
+  medium: { flag: '-qm', width: 1280, height: 720, fps: 30 },
+  high: { flag: '-qh', width: 1920, height: 1080, fps: 60 },
+  production: { flag: '-qp', width: 2560, height: 1440, fps: 60 },
+  '4k': { flag: '-qk', width: 3840, height: 2160, fps: 60 }
+};
+
+const MAX_DIMENSION = 7680;
+const MAX_FPS = 120;
+// Scenes of a multi-scene Manim script rendered at once; each is its own Manim process
+const MAX_SCENE_CONCURRENCY = 8;
+
+// Options a request may pass through to the renderers
+const RENDER_OPTION_KEYS = [
+  'format',
+  'transparent',
+  'quality',
+  'resolution',
+  'fps',
+  'p5Version',
+  'timing',
+  'frameOutput',
+  'sceneConcurrency'
+];
+
+// Accepts "1920x1080", "1920,1080", [1920, 1080] or { width, height }
+function parseResolution(resolution) {
+  let width;
+  let height;
+  if (typeof resolution === 'string') {
+    [width, height] = resolution.toLowerCase().split(/[x,]/).map(Number);
+  } else if (Array.isArray(resolution)) {
+    [width, height] = resolution.map(Number);
+  } else if (resolution && typeof resolution === 'object') {
+    width = Number(resolution.width);
+    height = Number(resolution.height);
+  }
+  const valid = [width, height].every(n => Number.isInteger(n) && n > 0 && n <= MAX_DIMENSION);
+  if (!valid) {
+    throw new Error(`Invalid resolution: ${JSON.stringify(resolution)}. Use "<width>x<height>" up to ${MAX_DIMENSION}px`);
+  }
+  return { width, height };
+}
+
+/**
+ * Resolves quality, resolution and fps into concrete settings.
+ * @param {object} [options]
+ * @param {string} [options.quality] - low | medium | high | production | 4k
+ * @param {string|number[]|object} [options.resolution] - Explicit output size
+ * @param {number} [options.fps] - Explicit frame rate
+ * @param {object} [defaults] - Values used when neither a preset nor an explicit value is given
+ * @returns {{quality: string|null, width: number|null, height: number|null, fps: number|null}}
+ */
+function resolveRenderSettings({ quality, resolution, fps } = {}, defaults = {}) {
+  let preset = null;
+  if (quality) {
+    preset = QUALITY_PRESETS[quality];
+    if (!preset) {
+      throw new Error(`Invalid quality: ${quality}. Expected one of ${Object.keys(QUALITY_PRESETS).join(', ')}`);
+    }
+  }
+
+  const size = resolution ? parseResolution(resolution) : null;
+
+  let frameRate = null;
+  if (fps !== undefined && fps !== null && fps !== '') {
+    frameRate = Number(fps);
+    if (!(frameRate >= 1 && frameRate <= MAX_FPS)) {
+      throw new Error(`Invalid fps: ${fps}. Expected a number between 1 and ${MAX_FPS}`);
+    }
+  }
+
+  return {
+    quality: quality || defaults.quality || null,
+    width: size?.width ?? preset?.width ?? defaults.width ?? null,
+    height: size?.height ?? preset?.height ?? defaults.height ?? null,
+    fps: frameRate ?? preset?.fps ?? defaults.fps ?? null
+  };
+}
+
+/**
+ * ffmpeg filters that fit frames into an exact size, letterboxing to keep the aspect ratio.
+ * @param {{width: number, height: number}} settings
+ * @param {boolean} [transparent=false] - Pad with transparent instead of black
+ * @returns {string[]}
+ */
+function fitFilters({ width, height }, transparent = false) {
+  return [
+    `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${transparent ? 'black@0' : 'black'}`
+  ];
+}
+
+/**
+ * Picks the renderer options out of a request body or IPC payload and validates them,
+ * so bad settings are rejected before any code is generated.
+ * @param {object} [source]
+ * @returns {object} - Options for generateWithP5/generateWithManim
+ */
+function parseRenderOptions(source = {}) {
+  const options = {};
+  for (const key of RENDER_OPTION_KEYS) {
+    if (source[key] !== undefined && source[key] !== null) options[key] = source[key];
+  }
+  resolveOutputFormat(options.format, options.transparent);
+  resolveRenderSettings(options);
+  if (options.p5Version) resolveP5Runtime(options.p5Version);
+  if (options.sceneConcurrency !== undefined) {
+    const limit = Number(options.sceneConcurrency);
+    if (!(Number.isInteger(limit) && limit >= 1 && limit <= MAX_SCENE_CONCURRENCY)) {
+      throw new Error(`Invalid sceneConcurrency: ${options.sceneConcurrency}. Expected an integer between 1 and ${MAX_SCENE_CONCURRENCY}`);
+    }
+    options.sceneConcurrency = limit;
+  }
+  return options;
+}
+
+module.exports = {
+  QUALITY_PRESETS,
+  RENDER_OPTION_KEYS,
+  resolveRenderSettings,
+  fitFilters,
+  parseRenderOptions
+};
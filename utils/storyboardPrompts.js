@@ -0,0 +1,19 @@
+// Prompt for planning a storyboard: an ordered list of short segments for a longer video
+const storyboardSystemPrompt = `You are planning an educational animation that will be produced as a sequence of short, separately rendered segments.
+
+**TASK:**
+Break the topic into an ordered list of segments that together explain it from start to finish.
+
+**SEGMENT RULES:**
+- Each segment covers one idea and can be animated on its own, starting from an empty canvas
+- The first segment introduces the topic; the last one summarises it
+- \`title\`: a few words naming the segment
+- \`description\`: two to four sentences describing exactly what is shown and animated, concrete enough to animate without further context
+- \`durationSecs\`: target length in seconds, between 3 and 30
+- Do not refer to other segments ("as we saw before"); each description must stand alone
+
+**OUTPUT:**
+Provide ONLY a JSON object of this shape, with no explanations or markdown formatting:
+{"title": "...", "segments": [{"title": "...", "description": "...", "durationSecs": 8}]}`;
+
+module.exports = { storyboardSystemPrompt };
@@ -0,0 +1,111 @@
+const { complete } = require('./llmProviders');
+const { storyboardSystemPrompt } = require('./storyboardPrompts');
+
+// Limits for planned and hand-edited storyboards
+const MAX_SEGMENTS = 12;
+const MAX_SEGMENT_SECS = 60;
+const DEFAULT_SEGMENT_SECS = 6;
+
+/**
+ * Asks the LLM to break a topic into an ordered list of segments.
+ * @param {string} topic - What the whole video should explain
+ * @param {string} engine - 'p5' or 'manim'; segments are described for this engine
+ * @param {string} [apiKey] - Credential for cloud providers
+ * @param {object} [llm] - Provider selection: { provider, model, baseUrl }
+ * @param {object} [options]
+ * @param {number} [options.segmentCount] - Preferred number of segments
+ * @param {number} [options.totalDurationSecs] - Preferred length of the whole video
+ * @param {AbortSignal} [options.signal] - Aborts the LLM request when the run is cancelled
+ * @returns {Promise<object>} - Storyboard: { topic, title, segments: [{ title, description, durationSecs, code }] }
+ */
+async function planStoryboard(topic, engine, apiKey, llm = {}, { segmentCount, totalDurationSecs, signal } = {}) {
+  if (typeof topic !== 'string' || !topic.trim()) {
+    throw new Error('Topic is required');
+  }
+  if (engine !== 'p5' && engine !== 'manim') {
+    throw new Error('Invalid engine in planStoryboard');
+  }
+
+  const request = [
+    `Topic: ${topic}`,
+    `Each segment will be animated with ${engine === 'p5' ? 'p5.js' : 'Manim'}.`
+  ];
+  if (segmentCount) request.push(`Use ${segmentCount} segments.`);
+  if (totalDurationSecs) request.push(`Aim for about ${totalDurationSecs} seconds in total.`);
+  request.push(`Use at most ${MAX_SEGMENTS} segments.`);
+  const contents = [storyboardSystemPrompt, request.join('\n')].join('\n');
+
+  // The fixture provider serves fixtures/storyboard/<model>.json
+  const raw = await complete(contents, { ...llm, apiKey, engine: 'storyboard', signal });
+  let parsed;
+  try {
+    // Models sometimes wrap the object in fences or a sentence; take the outermost braces
+    parsed = JSON.parse(raw.slice(raw.indexOf('{'), raw.lastIndexOf('}') + 1));
+  } catch {
+    throw new Error('Storyboard planning returned invalid JSON');
+  }
+  // Planned segments always get fresh code
+  const segments = (parsed.segments || []).map(segment => ({ ...segment, code: null }));
+  return parseStoryboard({ ...parsed, topic, segments });
+}
+
+/**
+ * Validates a planned or hand-edited storyboard and keeps only its editable fields.
+ * @param {object} input - Storyboard JSON
+ * @returns {{topic: string|null, title: string, segments: object[]}}
+ */
+function parseStoryboard(input) {
+  if (!input || typeof input !== 'object' || !Array.isArray(input.segments)) {
+    throw new Error('Storyboard must be an object with a segments array');
+  }
+  if (input.segments.length === 0 || input.segments.length > MAX_SEGMENTS) {
+    throw new Error(`Storyboard must have between 1 and ${MAX_SEGMENTS} segments`);
+  }
+
+  const segments = input.segments.map((segment, i) => {
+    const label = `Storyboard segment ${i + 1}`;
+    if (!segment || typeof segment !== 'object') {
+      throw new Error(`${label} must be an object`);
+    }
+    const title = typeof segment.title === 'string' ? segment.title.trim() : '';
+    const description = typeof segment.description === 'string' ? segment.description.trim() : '';
+    if (!title) throw new Error(`${label} needs a title`);
+    if (!description && !segment.code) throw new Error(`${label} needs a description or code`);
+
+    const durationSecs = Number(segment.durationSecs ?? DEFAULT_SEGMENT_SECS);
+    if (!(durationSecs > 0 && durationSecs <= MAX_SEGMENT_SECS)) {
+      throw new Error(`${label}: durationSecs must be between 0 and ${MAX_SEGMENT_SECS}`);
+    }
+    if (segment.code != null && typeof segment.code !== 'string') {
+      throw new Error(`${label}: code must be a string`);
+    }
+    return { title, description, durationSecs, code: segment.code || null };
+  });
+
+  return {
+    topic: typeof input.topic === 'string' ? input.topic : null,
+    title: typeof input.title === 'string' && input.title.trim() ? input.title.trim() : segments[0].title,
+    segments
+  };
+}
+
+/**
+ * Code generation prompt for one segment.
+ * @param {object} storyboard - Result of parseStoryboard
+ * @param {number} index - 0-based segment index
+ * @param {string} engine - 'p5' or 'manim'
+ * @returns {string}
+ */
+function segmentPrompt(storyboard, index, engine) {
+  const segment = storyboard.segments[index];
+  const timing = engine === 'manim'
+    ? `Keep the animation to about ${segment.durationSecs} seconds in total, counting run_time and wait().`
+    : `The sketch is recorded for ${segment.durationSecs} seconds, so pace the animation to fill that time.`;
+  return [
+    `${segment.title}: ${segment.description}`,
+    `This is part ${index + 1} of ${storyboard.segments.length} of "${storyboard.title}" and is shown on its own, so it must not depend on other parts.`,
+    timing
+  ].join('\n');
+}
+
+module.exports = { planStoryboard, parseStoryboard, segmentPrompt, MAX_SEGMENTS };
@@ -0,0 +1,135 @@
+// Joins rendered clips into one video with transitions between them.
+// Transitions are built from fade and overlay rather than xfade, which the bundled
+// ffmpeg build predates.
+const fs = require('fs');
+const { runFfmpeg, probeVideo } = require('./ffmpeg');
+const { fitFilters } = require('./renderSettings');
+const { ffmpegTarget } = require('./outputFormats');
+
+const TRANSITIONS = ['cut', 'crossfade', 'fadeblack'];
+const DEFAULT_TRANSITION_SECS = 0.75;
+const MAX_TRANSITION_SECS = 5;
+
+/**
+ * Validates a transition setting.
+ * @param {string|object} [transition] - 'cut' | 'crossfade' | 'fadeblack', or { type, durationSecs }
+ * @returns {{type: string, durationSecs: number}}
+ */
+function parseTransition(transition = 'cut') {
+  const { type = 'cut', durationSecs = DEFAULT_TRANSITION_SECS } =
+    typeof transition === 'string' ? { type: transition } : transition || {};
+  if (!TRANSITIONS.includes(type)) {
+    throw new Error(`Invalid transition: ${type}. Expected one of ${TRANSITIONS.join(', ')}`);
+  }
+  if (type === 'cut') return { type, durationSecs: 0 };
+  const seconds = Number(durationSecs);
+  if (!(seconds > 0 && seconds <= MAX_TRANSITION_SECS)) {
+    throw new Error(`Invalid transition duration: ${durationSecs}. Expected seconds between 0 and ${MAX_TRANSITION_SECS}`);
+  }
+  return { type, durationSecs: seconds };
+}
+
+// Filter graph for the chosen transition; every input is first fitted to the same size and rate
+function transitionGraph(clips, { type, durationSecs }, { width, height, fps }) {
+  const graph = clips.map((clip, i) => (
+    `[${i}:v]${fitFilters({ width, height }).join(',')},fps=${fps},format=yuv420p,setsar=1,setpts=PTS-STARTPTS[v${i}]`
+  ));
+  const last = clips.length - 1;
+  // Without overlap each clip starts where the previous one ends
+  const backToBack = () => {
+    let offset = 0;
+    const offsets = clips.map(clip => (offset += clip.durationSecs) - clip.durationSecs);
+    return { offsets, totalSecs: offset };
+  };
+
+  if (type === 'cut') {
+    graph.push(`${clips.map((clip, i) => `[v${i}]`).join('')}concat=n=${clips.length}:v=1:a=0[joined]`);
+    return { graph, ...backToBack() };
+  }
+
+  // A transition may take at most half of the shorter clip on either side
+  const shortest = Math.min(...clips.map(clip => clip.durationSecs));
+  const secs = Math.min(durationSecs, shortest / 2);
+
+  if (type === 'fadeblack') {
+    // Each clip fades out to black and the next fades in, half the duration each
+    const half = secs / 2;
+    clips.forEach((clip, i) => {
+      const fades = [];
+      if (i > 0) fades.push(`fade=t=in:st=0:d=${half}`);
+      if (i < last) fades.push(`fade=t=out:st=${(clip.durationSecs - half).toFixed(3)}:d=${half}`);
+      graph.push(`[v${i}]${fades.join(',')}[f${i}]`);
+    });
+    graph.push(`${clips.map((clip, i) => `[f${i}]`).join('')}concat=n=${clips.length}:v=1:a=0[joined]`);
+    return { graph, ...backToBack() };
+  }
+
+  // Crossfade: each clip starts `secs` before the previous one ends and fades in over it
+  let offset = 0;
+  const offsets = clips.map((clip, i) => {
+    if (i > 0) offset += clips[i - 1].durationSecs - secs;
+    return offset;
+  });
+  const totalSecs = offsets[last] + clips[last].durationSecs;
+  graph.push(`color=c=black:s=${width}x${height}:r=${fps}:d=${totalSecs.toFixed(3)},format=yuv420p[base]`);
+  let previous = 'base';
+  clips.forEach((clip, i) => {
+    const fade = i > 0 ? `format=yuva420p,fade=t=in:st=0:d=${secs}:alpha=1,` : '';
+    graph.push(`[v${i}]${fade}setpts=PTS-STARTPTS+${offsets[i].toFixed(3)}/TB[f${i}]`);
+    graph.push(`[${previous}][f${i}]overlay=eof_action=pass${i === last ? '' : `[o${i}]`}${i === last ? ',format=yuv420p[joined]' : ''}`);
+    previous = `o${i}`;
+  });
+  return { graph, offsets, totalSecs };
+}
+
+/**
+ * Joins clips in order into one output, sized and timed like the first clip.
+ * @param {string[]} clipPaths - Rendered clips in playback order
+ * @param {string} outputPath - Output file, or directory for PNG sequences
+ * @param {object} options
+ * @param {object} options.spec - Output format (result of resolveOutputFormat)
+ * @param {object} [options.transition] - Result of parseTransition
+ * @param {function(string):void} [options.logFn]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{durationSecs: number, clips: {startSecs: number, endSecs: number}[]}>} - Where
+ *   each clip plays in the output; with crossfades, neighbouring clips overlap
+ */
+async function joinClips(clipPaths, outputPath, { spec, transition = parseTransition(), logFn = () => {}, signal }) {
+  const clips = [];
+  for (const clipPath of clipPaths) {
+    clips.push({ path: clipPath, ...(await probeVideo(clipPath)) });
+  }
+  // Even dimensions keep yuv420p encoders happy
+  const width = clips[0].width - (clips[0].width % 2);
+  const height = clips[0].height - (clips[0].height % 2);
+  const fps = clips[0].fps || 30;
+
+  const { graph, offsets, totalSecs } = transitionGraph(clips, transition, { width, height, fps });
+  // The format's own filters (e.g. the GIF palette) run on the joined stream
+  graph.push(`[joined]${spec.filters.length ? spec.filters.join(',') : 'null'}[out]`);
+
+  if (spec.sequence) {
+    fs.rmSync(outputPath, { recursive: true, force: true });
+    fs.mkdirSync(outputPath, { recursive: true });
+  }
+  logFn(`Joining ${clips.length} clips with ${transition.type === 'cut' ? 'cuts' : `${transition.type} transitions`} (${totalSecs.toFixed(1)}s)`);
+  try {
+    await runFfmpeg([
+      '-y',
+      ...clips.flatMap(clip => ['-i', clip.path]),
+      '-filter_complex', graph.join(';'),
+      '-map', '[out]',
+      ...spec.codecArgs(spec.transparent),
+      ffmpegTarget(outputPath, spec)
+    ], { logFn, signal });
+  } catch (err) {
+    if (spec.sequence) fs.rmSync(outputPath, { recursive: true, force: true });
+    throw err;
+  }
+  return {
+    durationSecs: totalSecs,
+    clips: clips.map((clip, i) => ({ startSecs: offsets[i], endSecs: offsets[i] + clip.durationSecs }))
+  };
+}
+
+module.exports = { TRANSITIONS, parseTransition, joinClips };